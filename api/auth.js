@@ -0,0 +1,257 @@
+/**
+ * API Keys
+ * Named keys with endpoint scopes, a token-bucket rate limit, a daily
+ * quota and usage counters
+ *
+ * Keys come from API_KEYS_FILE (a JSON array) or API_KEYS (the same JSON
+ * inline). The single API_KEY still works as an unlimited key named
+ * "default" that may also read key usage in /api/stats. With no keys
+ * configured at all, the API is open.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ENDPOINTS = ['extract', 'events', 'batch', 'jobs'];
+
+// Scopes a key only gets when listed by name; "*" doesn't include them
+const ADMIN_SCOPES = ['stats'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keys in URLs end up in access logs and Referer headers, so ?key= is only
+// read where it can't be avoided (EventSource can't send headers), unless
+// API_KEY_QUERY=true opens it up everywhere
+const ALLOW_QUERY_KEY = process.env.API_KEY_QUERY === 'true';
+const QUERY_KEY_ENDPOINTS = ['events'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+// Start of the current UTC day, when daily quotas reset
+const dayStart = (now) => now - (now % DAY);
+
+/**
+ * {
+ *   "name": "team-a",
+ *   "key": "...",                 or "key_sha256": "<hex>"
+ *   "endpoints": ["extract", "events"],   default: all ("*"); add "stats" to see every key's usage
+ *   "rate_per_minute": 30,        token refill rate, default: unlimited
+ *   "burst": 10,                  bucket size, default: rate_per_minute
+ *   "daily_quota": 1000           requests per UTC day, default: unlimited
+ * }
+ */
+function createClient(entry, now = Date.now()) {
+    if (!entry || typeof entry !== 'object') throw new Error('must be an object');
+    if (typeof entry.name !== 'string' || !entry.name) throw new Error('needs a `name`');
+
+    let digest;
+    if (typeof entry.key === 'string' && entry.key) {
+        digest = hashKey(entry.key);
+    } else if (typeof entry.key_sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.key_sha256)) {
+        digest = Buffer.from(entry.key_sha256, 'hex');
+    } else {
+        throw new Error('needs a `key` or a hex `key_sha256`');
+    }
+
+    const endpoints = entry.endpoints === undefined || entry.endpoints === '*' ? [...ENDPOINTS] : entry.endpoints;
+    if (!Array.isArray(endpoints) || endpoints.some(e => !ENDPOINTS.includes(e) && !ADMIN_SCOPES.includes(e))) {
+        throw new Error(`\`endpoints\` must be "*" or a list of ${[...ENDPOINTS, ...ADMIN_SCOPES].join(', ')}`);
+    }
+
+    const ratePerMinute = Number(entry.rate_per_minute) || 0;
+    const burst = Number(entry.burst) || ratePerMinute;
+    const dailyQuota = Number(entry.daily_quota) || 0;
+
+    return {
+        name: entry.name,
+        digest,
+        endpoints,
+        ratePerMinute,
+        burst,
+        dailyQuota,
+        tokens: burst,
+        refilledAt: now,
+        day: dayStart(now),
+        usedToday: 0,
+        usage: {
+            requests: 0,
+            by_endpoint: Object.fromEntries(ENDPOINTS.map(e => [e, 0])),
+            rate_limited: 0,
+            quota_exceeded: 0,
+            forbidden: 0,
+            last_used_at: null
+        }
+    };
+}
+
+function readKeyEntries() {
+    if (process.env.API_KEYS_FILE) {
+        return JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    }
+    if (process.env.API_KEYS) {
+        return JSON.parse(process.env.API_KEYS);
+    }
+    return [];
+}
+
+class KeyStore {
+    constructor(entries = [], legacyKey = null) {
+        this.clients = [];
+
+        for (const [index, entry] of entries.entries()) {
+            try {
+                const client = createClient(entry);
+                if (this.clients.some(c => c.name === client.name)) throw new Error(`duplicate name "${client.name}"`);
+                this.clients.push(client);
+            } catch (e) {
+                logger.error('AUTH', `Skipping key #${index + 1}: ${e.message}`);
+            }
+        }
+
+        if (legacyKey && !this.clients.some(c => c.name === 'default')) {
+            this.clients.push(createClient({ name: 'default', key: legacyKey, endpoints: [...ENDPOINTS, ...ADMIN_SCOPES] }));
+        }
+
+        // A configured but broken key file must not leave the API open
+        this.enabled = entries.length > 0 || Boolean(legacyKey);
+
+        // Usage of an open API, so /api/stats still shows it
+        this.anonymous = createClient({ name: 'anonymous', key: 'anonymous' });
+    }
+
+    static fromEnv() {
+        let entries = [];
+        try {
+            entries = readKeyEntries();
+            if (!Array.isArray(entries)) throw new Error('expected a JSON array of keys');
+        } catch (e) {
+            // Stay closed: every request gets a 401 until the file is fixed
+            logger.error('AUTH', `Could not load API keys: ${e.message}`);
+            entries = [null];
+        }
+
+        const store = new KeyStore(entries, process.env.API_KEY || null);
+        if (store.clients.length > 0) {
+            logger.info('AUTH', `Loaded ${store.clients.length} API keys: ${store.clients.map(c => c.name).join(', ')}`);
+        }
+        return store;
+    }
+
+    // Compare against every key's digest in constant time, so neither the
+    // key nor which slot matched leaks through timing
+    find(presented) {
+        if (typeof presented !== 'string' || !presented) return null;
+
+        const digest = hashKey(presented);
+        let match = null;
+        for (const client of this.clients) {
+            if (crypto.timingSafeEqual(digest, client.digest) && !match) match = client;
+        }
+        return match;
+    }
+
+    /**
+     * Resolve the caller of `endpoint`. Returns `{ client }`, or
+     * `{ status, error }` for a missing, unknown or out-of-scope key.
+     */
+    authenticate(req, query, endpoint) {
+        if (!this.enabled) return { client: this.anonymous };
+
+        const client = this.find(this.presentedKey(req, query, endpoint));
+        if (!client) return { status: 401, error: 'Unauthorized: Invalid or missing API key' };
+
+        if (!client.endpoints.includes(endpoint)) {
+            client.usage.forbidden++;
+            return { status: 403, error: `Forbidden: key "${client.name}" may not use ${endpoint}` };
+        }
+        return { client };
+    }
+
+    presentedKey(req, query, endpoint) {
+        const queryAllowed = ALLOW_QUERY_KEY || QUERY_KEY_ENDPOINTS.includes(endpoint);
+        return req.headers['x-api-key'] || (queryAllowed ? query.key : undefined);
+    }
+
+    // Whether /api/stats may list the keys: an open API, or a key with the stats scope
+    canViewKeyStats(req, query) {
+        if (!this.enabled) return true;
+        const client = this.find(this.presentedKey(req, query, 'stats'));
+        return Boolean(client && client.endpoints.includes('stats'));
+    }
+
+    /**
+     * Spend `cost` requests of a key's rate limit and daily quota. Returns
+     * `{ allowed, headers, error?, retryAfter? }`; headers go on every response.
+     */
+    consume(client, endpoint, cost = 1, now = Date.now()) {
+        if (client.day !== dayStart(now)) {
+            client.day = dayStart(now);
+            client.usedToday = 0;
+        }
+
+        if (client.ratePerMinute > 0) {
+            const refill = ((now - client.refilledAt) / 60000) * client.ratePerMinute;
+            client.tokens = Math.min(client.burst, client.tokens + refill);
+            client.refilledAt = now;
+        }
+
+        let error = null;
+        let retryAfter = 0;
+
+        if (client.dailyQuota > 0 && client.usedToday + cost > client.dailyQuota) {
+            client.usage.quota_exceeded++;
+            error = `Daily quota of ${client.dailyQuota} requests exceeded`;
+            retryAfter = Math.ceil((client.day + DAY - now) / 1000);
+        } else if (client.ratePerMinute > 0 && client.tokens < cost) {
+            client.usage.rate_limited++;
+            // A batch bigger than the bucket would never fit, however long it waits
+            error = cost > client.burst
+                ? `Request costs ${cost}, more than this key's burst of ${client.burst}`
+                : `Rate limit of ${client.ratePerMinute} requests per minute exceeded`;
+            const missing = Math.min(cost, client.burst) - client.tokens;
+            retryAfter = Math.max(1, Math.ceil((missing / client.ratePerMinute) * 60));
+        } else {
+            if (client.ratePerMinute > 0) client.tokens -= cost;
+            client.usedToday += cost;
+            client.usage.requests += cost;
+            client.usage.by_endpoint[endpoint] += cost;
+            client.usage.last_used_at = new Date(now).toISOString();
+        }
+
+        return { allowed: !error, error, retryAfter, headers: this.limitHeaders(client, now) };
+    }
+
+    limitHeaders(client, now = Date.now()) {
+        const headers = {};
+        if (client.ratePerMinute > 0) {
+            const missing = client.burst - client.tokens;
+            headers['X-RateLimit-Limit'] = String(client.burst);
+            headers['X-RateLimit-Remaining'] = String(Math.max(0, Math.floor(client.tokens)));
+            headers['X-RateLimit-Reset'] = String(Math.ceil((missing / client.ratePerMinute) * 60));
+        }
+        if (client.dailyQuota > 0) {
+            headers['X-Quota-Limit'] = String(client.dailyQuota);
+            headers['X-Quota-Remaining'] = String(Math.max(0, client.dailyQuota - client.usedToday));
+            headers['X-Quota-Reset'] = String(Math.ceil((client.day + DAY - now) / 1000));
+        }
+        return headers;
+    }
+
+    getStats() {
+        const clients = this.enabled ? this.clients : [this.anonymous];
+        return clients.map(client => ({
+            name: client.name,
+            endpoints: client.endpoints,
+            rate_per_minute: client.ratePerMinute || null,
+            burst: client.ratePerMinute ? client.burst : null,
+            daily_quota: client.dailyQuota || null,
+            used_today: client.day === dayStart(Date.now()) ? client.usedToday : 0,
+            ...client.usage
+        }));
+    }
+}
+
+const keyStore = KeyStore.fromEnv();
+
+module.exports = { keyStore, KeyStore, ENDPOINTS, ADMIN_SCOPES, ALLOW_QUERY_KEY, QUERY_KEY_ENDPOINTS };
@@ -0,0 +1,82 @@
+/**
+ * Batch Extraction
+ * Resolves many page URLs at once, extracting each distinct URL once
+ */
+
+const { runExtraction } = require('./extract');
+const { requestQueue } = require('./requestQueue');
+const { formatResult } = require('./response');
+const { logger } = require('./logger');
+const { checkUrl } = require('./urlPolicy');
+
+const BATCH_MAX_SIZE = parseInt(process.env.BATCH_MAX_SIZE, 10) || 20;
+
+async function validateUrl(value) {
+    if (typeof value !== 'string' || !value) return 'Missing url';
+    try {
+        const parsed = new URL(value);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return 'Invalid URL';
+    } catch {
+        return 'Invalid URL';
+    }
+
+    const blockedReason = await checkUrl(value, { target: true });
+    return blockedReason ? `Blocked URL: ${blockedReason}` : null;
+}
+
+/**
+ * Extract every URL and return one entry per input, in input order.
+ * Failures are reported per entry and never fail the whole batch.
+ */
+async function extractBatch(urls, options = {}) {
+    const { signal } = options;
+    const results = new Array(urls.length);
+    const indexesByUrl = new Map(); // url -> input indexes, so duplicates extract once
+
+    for (const [index, url] of urls.entries()) {
+        const error = await validateUrl(url);
+        if (error) {
+            results[index] = { url, cached: false, success: false, error };
+            continue;
+        }
+
+        if (!indexesByUrl.has(url)) indexesByUrl.set(url, []);
+        indexesByUrl.get(url).push(index);
+    }
+
+    logger.info('BATCH', `${urls.length} urls, ${indexesByUrl.size} to extract`);
+
+    // Only take as many queue slots as can actually run, so one batch
+    // doesn't fill the wait list and starve single requests
+    const pending = Array.from(indexesByUrl.keys());
+    const workers = Array.from({ length: Math.min(requestQueue.maxConcurrent, pending.length) }, async () => {
+        while (pending.length > 0) {
+            const url = pending.shift();
+            let entry;
+            let cached = false;
+
+            // runExtraction answers cache hits itself, without opening a page
+            const onEvent = (event) => { if (event === 'cache_hit') cached = true; };
+
+            try {
+                const result = await requestQueue.process(
+                    (runSignal) => runExtraction(url, { signal: runSignal, onEvent }),
+                    { signal }
+                );
+                entry = { url, cached, ...formatResult(result) };
+            } catch (error) {
+                entry = { url, cached: false, success: false, error: error.message };
+            }
+
+            for (const index of indexesByUrl.get(url)) {
+                results[index] = entry;
+            }
+        }
+    });
+
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = { extractBatch, BATCH_MAX_SIZE };
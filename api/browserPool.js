@@ -1,121 +1,276 @@
 /**
  * Browser Pool Manager
  * Maintains warm browser instances for faster extraction
+ *
+ * Each extraction leases a browser and gets its own BrowserContext
+ * (separate cookies, storage and cache). Set BROWSER_MODE=fresh to
+ * launch a new browser per extraction instead.
  */
 
 const puppeteer = require('puppeteer');
+const { logger } = require('./logger');
+
+const POOL_CONFIG = {
+    MODE: process.env.BROWSER_MODE === 'fresh' ? 'fresh' : 'pool',
+    SIZE: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,              // 1 browser for low-RAM VPS
+    MAX_USES: parseInt(process.env.BROWSER_MAX_USES, 10) || 50,          // Recycle after N extractions
+    MAX_AGE: parseInt(process.env.BROWSER_MAX_AGE, 10) || 30 * 60 * 1000, // Recycle after 30 minutes
+    HEALTH_CHECK_INTERVAL: 30000,
+    HEALTH_CHECK_TIMEOUT: 5000
+};
+
+const POOL_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-blink-features=AutomationControlled',
+    // Memory optimization for low-RAM VPS (no --single-process: it is
+    // unstable once several browser contexts share one browser)
+    '--no-zygote',
+    '--disable-software-rasterizer',
+    '--disable-gpu-sandbox',
+    '--js-flags=--max-old-space-size=256'
+];
+
+// Fresh-per-request browsers keep the original lean flag set
+const FRESH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-blink-features=AutomationControlled'
+];
 
 class BrowserPool {
-    constructor(poolSize = 1) { // Reduced from 2 to 1 for low-RAM VPS
+    constructor(poolSize = 1, mode = 'pool') {
         this.poolSize = poolSize;
-        this.browsers = [];
-        this.available = [];
-        this.initializing = false;
+        this.mode = mode;
+        this.entries = [];       // { browser, uses, createdAt, busy, retiring }
+        this.initializing = null;
+        this.healthTimer = null;
+
+        this.launches = 0;
+        this.crashes = 0;
+        this.recycled = 0;
+    }
+
+    get enabled() {
+        return this.mode === 'pool';
     }
 
     async initialize() {
-        if (this.initializing) return;
-        this.initializing = true;
+        if (!this.enabled) return;
+        if (this.initializing) return this.initializing;
 
-        console.log('[POOL] Initializing browser pool...');
+        this.initializing = (async () => {
+            logger.info('POOL', 'Initializing browser pool...');
 
-        for (let i = 0; i < this.poolSize; i++) {
-            try {
-                const browser = await this.createBrowser();
-                this.browsers.push(browser);
-                this.available.push(browser);
-                console.log(`[POOL] Browser ${i + 1}/${this.poolSize} ready`);
-            } catch (e) {
-                console.error(`[POOL] Failed to create browser ${i + 1}:`, e.message);
+            while (this.entries.length < this.poolSize) {
+                try {
+                    await this.addBrowser();
+                    logger.info('POOL', `Browser ${this.entries.length}/${this.poolSize} ready`);
+                } catch (e) {
+                    logger.error('POOL', `Failed to create browser ${this.entries.length + 1}: ${e.message}`);
+                    break;
+                }
             }
+
+            logger.info('POOL', `Pool initialized with ${this.entries.length} browsers`);
+            this.startHealthChecks();
+        })();
+
+        try {
+            await this.initializing;
+        } finally {
+            this.initializing = null;
         }
+    }
 
-        this.initializing = false;
-        console.log(`[POOL] Pool initialized with ${this.available.length} browsers`);
+    async createBrowser(args = POOL_ARGS) {
+        const browser = await puppeteer.launch({
+            headless: true,
+            args,
+            acceptInsecureCerts: true
+        });
+        this.launches++;
+        return browser;
     }
 
-    async createBrowser() {
-        return await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=IsolateOrigins,site-per-process',
-                '--disable-blink-features=AutomationControlled',
-                // Memory optimization for low-RAM VPS
-                '--single-process',
-                '--no-zygote',
-                '--disable-software-rasterizer',
-                '--disable-gpu-sandbox',
-                '--js-flags=--max-old-space-size=256'
-            ],
-            ignoreHTTPSErrors: true
+    async addBrowser() {
+        const browser = await this.createBrowser();
+        const entry = { browser, uses: 0, createdAt: Date.now(), busy: 0, retiring: false };
+
+        // Crashed or killed: drop it and launch a replacement
+        browser.once('disconnected', () => {
+            if (!this.entries.includes(entry)) return;
+            this.crashes++;
+            logger.error('POOL', 'Browser disconnected, replacing');
+            this.removeEntry(entry);
+            this.replenish();
         });
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    removeEntry(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) this.entries.splice(index, 1);
+    }
+
+    replenish() {
+        if (!this.enabled || this.entries.length >= this.poolSize) return;
+        this.addBrowser().catch(e => logger.error('POOL', `Replacement failed: ${e.message}`));
     }
 
+    /**
+     * Lease a browser for one extraction. Always pair with release().
+     * In pool mode the lease carries a fresh BrowserContext to open pages in.
+     */
     async acquire() {
-        // Ensure pool is initialized
-        if (this.browsers.length === 0 && !this.initializing) {
+        if (!this.enabled) {
+            logger.info('POOL', 'Launching fresh browser (unique fingerprint)');
+            const browser = await this.createBrowser(FRESH_ARGS);
+            return { browser, context: browser.defaultBrowserContext(), entry: null };
+        }
+
+        if (this.entries.length === 0) {
             await this.initialize();
         }
 
-        // Wait for initialization if in progress
-        while (this.initializing) {
-            await new Promise(r => setTimeout(r, 100));
+        // Least-busy healthy browser that hasn't hit its recycle limits
+        const entry = this.entries
+            .filter(e => !e.retiring && e.browser.connected && !this.isExpired(e))
+            .sort((a, b) => a.busy - b.busy)[0];
+
+        if (!entry) {
+            // No browsers available, create temporary one
+            logger.info('POOL', 'No browsers available, creating temporary');
+            const browser = await this.createBrowser();
+            const context = await browser.createBrowserContext();
+            return { browser, context, entry: null };
         }
 
-        // Try to get available browser
-        if (this.available.length > 0) {
-            const browser = this.available.shift();
-
-            // Check if browser is still connected
-            if (browser.isConnected()) {
-                return browser;
-            } else {
-                // Browser disconnected, create new one
-                const newBrowser = await this.createBrowser();
-                this.browsers.push(newBrowser);
-                return newBrowser;
-            }
+        entry.busy++;
+        entry.uses++;
+
+        try {
+            const context = await entry.browser.createBrowserContext();
+            return { browser: entry.browser, context, entry };
+        } catch (e) {
+            entry.busy--;
+            this.retire(entry);
+            throw e;
         }
+    }
+
+    async release(lease) {
+        if (!lease) return;
+        const { browser, context, entry } = lease;
+
+        if (!entry) {
+            // Temporary or fresh browser, close it
+            await browser.close().catch(() => { });
+            return;
+        }
+
+        await context.close().catch(() => { });
+        entry.busy--;
+
+        if (this.isExpired(entry) || entry.retiring) {
+            this.retire(entry);
+        }
+    }
+
+    isExpired(entry) {
+        return entry.uses >= POOL_CONFIG.MAX_USES || Date.now() - entry.createdAt > POOL_CONFIG.MAX_AGE;
+    }
+
+    // Take a browser out of rotation, close it once its last lease is released
+    retire(entry) {
+        entry.retiring = true;
+        if (entry.busy > 0 || !this.entries.includes(entry)) return;
 
-        // No browsers available, create temporary one
-        console.log('[POOL] No browsers available, creating temporary');
-        return await this.createBrowser();
+        this.removeEntry(entry);
+        this.recycled++;
+        logger.info('POOL', `Recycling browser after ${entry.uses} uses`);
+        entry.browser.close().catch(() => { });
+        this.replenish();
     }
 
-    release(browser, temporary = false) {
-        if (temporary || !this.browsers.includes(browser)) {
-            // Temporary browser, close it
-            browser.close().catch(() => { });
-        } else {
-            // Return to pool
-            this.available.push(browser);
+    startHealthChecks() {
+        if (this.healthTimer) return;
+        this.healthTimer = setInterval(() => this.checkHealth(), POOL_CONFIG.HEALTH_CHECK_INTERVAL);
+        this.healthTimer.unref();
+    }
+
+    async checkHealth() {
+        for (const entry of [...this.entries]) {
+            if (entry.busy > 0) continue;
+
+            if (this.isExpired(entry)) {
+                this.retire(entry);
+                continue;
+            }
+
+            let timer;
+            try {
+                await Promise.race([
+                    entry.browser.version(),
+                    new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(new Error('Health check timeout')), POOL_CONFIG.HEALTH_CHECK_TIMEOUT);
+                    })
+                ]);
+            } catch (e) {
+                logger.error('POOL', `Unhealthy browser: ${e.message}`);
+                this.crashes++;
+                this.retire(entry);
+            } finally {
+                clearTimeout(timer);
+            }
         }
+
+        this.replenish();
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            size: this.entries.length,
+            target: this.poolSize,
+            busy: this.entries.filter(e => e.busy > 0).length,
+            launches: this.launches,
+            crashes: this.crashes,
+            recycled: this.recycled
+        };
     }
 
     async cleanup() {
-        console.log('[POOL] Cleaning up browser pool');
-        for (const browser of this.browsers) {
+        logger.info('POOL', 'Cleaning up browser pool');
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+
+        const entries = this.entries;
+        this.entries = [];
+        for (const entry of entries) {
             try {
-                await browser.close();
+                await entry.browser.close();
             } catch (e) { }
         }
-        this.browsers = [];
-        this.available = [];
     }
 }
 
 // Global pool instance - using 1 browser for low-RAM VPS
-const browserPool = new BrowserPool(1);
+const browserPool = new BrowserPool(POOL_CONFIG.SIZE, POOL_CONFIG.MODE);
 
 // Initialize pool on startup
 browserPool.initialize().catch(e =>
-    console.error('[POOL] Initialization error:', e.message)
+    logger.error('POOL', `Initialization error: ${e.message}`)
 );
 
-module.exports = { browserPool };
+module.exports = { browserPool, BrowserPool, POOL_CONFIG };
@@ -1,67 +1,133 @@
 /**
  * Result Cache Manager
  * Caches extraction results to avoid re-extraction
+ *
+ * Storage is pluggable (see cacheBackends.js) and chosen with CACHE_BACKEND.
+ * Backend failures degrade to cache misses, never to failed extractions.
  */
 
+const { createBackend } = require('./cacheBackends');
+const { getResultExpiry } = require('./urlExpiry');
+const { logger } = require('./logger');
+
+const DEFAULT_TTL = parseInt(process.env.CACHE_TTL, 10) || 30 * 60 * 1000; // 30 minutes (increased for production)
+const EXPIRY_MARGIN = parseInt(process.env.CACHE_EXPIRY_MARGIN, 10) || 2 * 60 * 1000; // Drop signed links 2 minutes early
+
 class ResultCache {
-    constructor() {
-        this.cache = new Map();
-        this.ttl = 30 * 60 * 1000; // 30 minutes (increased for production)
+    constructor(backend, ttl = DEFAULT_TTL) {
+        this.backend = backend;
+        this.ttl = ttl;
+
+        this.hits = 0;
+        this.misses = 0;
+        this.errors = 0;
 
-        // Cleanup expired entries every minute
-        setInterval(() => this.cleanup(), 60000);
+        // Cleanup expired entries every minute; doesn't keep a CLI or script alive
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+        this.cleanupTimer.unref();
     }
 
-    set(url, result) {
-        this.cache.set(url, {
+    // Signed stream URLs cap the TTL so we never serve a dead link
+    ttlFor(result, now = Date.now()) {
+        const linkExpiry = getResultExpiry(result, now);
+        if (!linkExpiry) return this.ttl;
+        return Math.min(this.ttl, linkExpiry - EXPIRY_MARGIN - now);
+    }
+
+    async set(url, result) {
+        const now = Date.now();
+        const ttl = this.ttlFor(result, now);
+
+        if (ttl <= 0) {
+            logger.info('CACHE', `Not storing, signed URL expires too soon: ${url.substring(0, 50)}`);
+            return;
+        }
+
+        const entry = {
             result,
-            timestamp: Date.now()
-        });
-        console.log(`[CACHE] Stored result for: ${url.substring(0, 50)}`);
+            timestamp: now,
+            expiresAt: now + ttl
+        };
+
+        try {
+            await this.backend.set(url, entry, ttl);
+            logger.info('CACHE', `Stored result for: ${url.substring(0, 50)} (${Math.round(ttl / 1000)}s)`);
+        } catch (e) {
+            this.errors++;
+            logger.error('CACHE', `Store failed: ${e.message}`);
+        }
     }
 
-    get(url) {
-        const entry = this.cache.get(url);
+    async get(url) {
+        let entry;
+        try {
+            entry = await this.backend.get(url);
+        } catch (e) {
+            this.errors++;
+            logger.error('CACHE', `Lookup failed: ${e.message}`);
+            entry = null;
+        }
 
-        if (!entry) return null;
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
 
         // Check if expired
-        if (Date.now() - entry.timestamp > this.ttl) {
-            this.cache.delete(url);
-            console.log(`[CACHE] Expired: ${url.substring(0, 50)}`);
+        if (Date.now() >= entry.expiresAt) {
+            this.misses++;
+            await this.backend.delete(url).catch(() => { });
+            logger.info('CACHE', `Expired: ${url.substring(0, 50)}`);
             return null;
         }
 
-        console.log(`[CACHE] Hit for: ${url.substring(0, 50)}`);
+        this.hits++;
+        logger.info('CACHE', `Hit for: ${url.substring(0, 50)}`);
         return entry.result;
     }
 
-    cleanup() {
-        const now = Date.now();
-        let removed = 0;
-
-        for (const [url, entry] of this.cache.entries()) {
-            if (now - entry.timestamp > this.ttl) {
-                this.cache.delete(url);
-                removed++;
+    async cleanup() {
+        try {
+            const removed = await this.backend.cleanup(Date.now());
+            if (removed > 0) {
+                logger.info('CACHE', `Cleaned ${removed} expired entries`);
             }
+        } catch (e) {
+            logger.error('CACHE', `Cleanup failed: ${e.message}`);
         }
+    }
 
-        if (removed > 0) {
-            console.log(`[CACHE] Cleaned ${removed} expired entries`);
-        }
+    async clear() {
+        await this.backend.clear();
+        logger.info('CACHE', 'Cleared all entries');
     }
 
-    clear() {
-        this.cache.clear();
-        console.log('[CACHE] Cleared all entries');
+    async size() {
+        try {
+            return await this.backend.size();
+        } catch (e) {
+            return null;
+        }
     }
 
-    size() {
-        return this.cache.size;
+    async getStats() {
+        const backendStats = this.backend.getStats();
+        const lookups = this.hits + this.misses;
+
+        return {
+            backend: this.backend.name,
+            size: await this.size(),
+            ttl: `${Math.round(this.ttl / 60000)} minutes`,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+            evictions: backendStats.evictions || 0,
+            errors: this.errors,
+            ...backendStats
+        };
     }
 }
 
-const resultCache = new ResultCache();
+const resultCache = new ResultCache(createBackend());
 
-module.exports = { resultCache };
+module.exports = { resultCache, ResultCache };
@@ -0,0 +1,263 @@
+/**
+ * Result Cache Backends
+ * Storage engines behind ResultCache: memory (LRU), file and Redis
+ *
+ * Every backend implements the same async interface:
+ *   get(key) -> entry | null, set(key, entry, ttlMs), delete(key),
+ *   clear(), size(), cleanup(now)
+ * Entries are { result, timestamp, expiresAt }; ResultCache owns expiry
+ * decisions, backends only store and evict.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RedisClient } = require('./redis');
+
+const approximateBytes = (entry) => Buffer.byteLength(JSON.stringify(entry));
+
+// -----------------------------------------------------------------
+// MEMORY (LRU)
+// -----------------------------------------------------------------
+class MemoryBackend {
+    constructor({ maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.cache = new Map();   // Insertion order doubles as LRU order
+        this.bytes = 0;
+        this.evictions = 0;
+    }
+
+    async get(key) {
+        const item = this.cache.get(key);
+        if (!item) return null;
+
+        // Move to the most-recently-used end
+        this.cache.delete(key);
+        this.cache.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry) {
+        await this.delete(key);
+
+        const bytes = approximateBytes(entry);
+        this.cache.set(key, { entry, bytes });
+        this.bytes += bytes;
+
+        while (this.cache.size > this.maxEntries || (this.bytes > this.maxBytes && this.cache.size > 1)) {
+            const oldestKey = this.cache.keys().next().value;
+            await this.delete(oldestKey);
+            this.evictions++;
+        }
+    }
+
+    async delete(key) {
+        const item = this.cache.get(key);
+        if (!item) return;
+        this.bytes -= item.bytes;
+        this.cache.delete(key);
+    }
+
+    async clear() {
+        this.cache.clear();
+        this.bytes = 0;
+    }
+
+    async size() {
+        return this.cache.size;
+    }
+
+    async cleanup(now) {
+        let removed = 0;
+        for (const [key, item] of this.cache.entries()) {
+            if (item.entry.expiresAt <= now) {
+                await this.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    getStats() {
+        return { evictions: this.evictions, bytes: this.bytes, maxEntries: this.maxEntries, maxBytes: this.maxBytes };
+    }
+}
+
+// -----------------------------------------------------------------
+// FILE (one JSON file per entry, survives restarts)
+// -----------------------------------------------------------------
+class FileBackend {
+    constructor({ dir = path.join(process.cwd(), 'data', 'cache'), maxEntries = 5000 } = {}) {
+        this.name = 'file';
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        this.evictions = 0;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+    }
+
+    async get(key) {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(this.fileFor(key), 'utf8'));
+            return stored.key === key ? stored.entry : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        const file = this.fileFor(key);
+        // Unique per write: concurrent sets of one key must not share a temp file
+        const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+
+        // Write-then-rename so a crash never leaves a half-written entry
+        try {
+            await fs.promises.writeFile(tmp, JSON.stringify({ key, entry }));
+            await fs.promises.rename(tmp, file);
+        } catch (e) {
+            await fs.promises.unlink(tmp).catch(() => { });
+            throw e;
+        }
+    }
+
+    async delete(key) {
+        await fs.promises.unlink(this.fileFor(key)).catch(() => { });
+    }
+
+    async clear() {
+        for (const file of await this.listFiles()) {
+            await fs.promises.unlink(path.join(this.dir, file)).catch(() => { });
+        }
+    }
+
+    async listFiles() {
+        const files = await fs.promises.readdir(this.dir).catch(() => []);
+        return files.filter(f => f.endsWith('.json'));
+    }
+
+    async size() {
+        return (await this.listFiles()).length;
+    }
+
+    async cleanup(now) {
+        const live = [];
+        let removed = 0;
+
+        for (const file of await this.listFiles()) {
+            const fullPath = path.join(this.dir, file);
+            try {
+                const { entry } = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+                if (entry.expiresAt > now) {
+                    live.push({ fullPath, timestamp: entry.timestamp });
+                    continue;
+                }
+            } catch (e) { }
+
+            await fs.promises.unlink(fullPath).catch(() => { });
+            removed++;
+        }
+
+        // Over the entry budget: drop the oldest
+        live.sort((a, b) => a.timestamp - b.timestamp);
+        while (live.length > this.maxEntries) {
+            await fs.promises.unlink(live.shift().fullPath).catch(() => { });
+            this.evictions++;
+        }
+
+        return removed;
+    }
+
+    getStats() {
+        return { evictions: this.evictions, dir: this.dir, maxEntries: this.maxEntries };
+    }
+}
+
+// -----------------------------------------------------------------
+// REDIS (or any RESP-speaking stand-in)
+// -----------------------------------------------------------------
+class RedisBackend {
+    constructor({ url, prefix = 'hls-extractor:' } = {}) {
+        this.name = 'redis';
+        this.client = new RedisClient(url);
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = await this.client.send('GET', this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, entry, ttl) {
+        // Redis expires the key itself
+        await this.client.send('SET', this.prefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.round(ttl)));
+    }
+
+    async delete(key) {
+        await this.client.send('DEL', this.prefix + key);
+    }
+
+    async keys() {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.client.send('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+            cursor = next;
+            keys.push(...batch);
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    async clear() {
+        const keys = await this.keys();
+        for (let i = 0; i < keys.length; i += 500) {
+            await this.client.send('DEL', ...keys.slice(i, i + 500));
+        }
+    }
+
+    async size() {
+        return (await this.keys()).length;
+    }
+
+    async cleanup() {
+        return 0;
+    }
+
+    getStats() {
+        // Redis evicts on its own (maxmemory policy); see INFO stats there
+        return { server: `${this.client.host}:${this.client.port}`, prefix: this.prefix };
+    }
+}
+
+/**
+ * Build the backend named by CACHE_BACKEND (memory | file | redis).
+ */
+function createBackend(env = process.env) {
+    const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+
+    switch (backend) {
+        case 'file':
+            return new FileBackend({
+                dir: env.CACHE_DIR || undefined,
+                maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 5000
+            });
+        case 'redis':
+            return new RedisBackend({
+                url: env.REDIS_URL || 'redis://127.0.0.1:6379',
+                prefix: env.REDIS_PREFIX || 'hls-extractor:'
+            });
+        case 'memory':
+            return new MemoryBackend({
+                maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 500,
+                maxBytes: (parseInt(env.CACHE_MAX_MB, 10) || 50) * 1024 * 1024
+            });
+        default:
+            throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+    }
+}
+
+module.exports = { MemoryBackend, FileBackend, RedisBackend, createBackend };
@@ -0,0 +1,285 @@
+/**
+ * Client Library
+ * `ExtractorClient` talks to a running server; `extractLocal` runs the
+ * extraction in this process. Both return the /api/extract payload.
+ */
+
+const { parseExtractOptions } = require('./options');
+
+/**
+ * @typedef {Object} Subtitle
+ * @property {string} url
+ * @property {string} language        English name, or "Unknown"
+ * @property {string|null} language_code  BCP-47 tag
+ * @property {string|null} label
+ * @property {'subtitles'|'captions'} kind
+ * @property {boolean} default
+ * @property {boolean} forced
+ * @property {string|null} format     vtt, srt, ass, ssa or hls
+ * @property {string} source          network, track, player_config or hls
+ * @property {string} vtt_url         Signed /api/subtitles link
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} url
+ * @property {number|null} bandwidth
+ * @property {string|null} resolution
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} codecs
+ * @property {number|null} frame_rate
+ */
+
+/**
+ * @typedef {Object} Rendition
+ * @property {'AUDIO'|'SUBTITLES'|'CLOSED-CAPTIONS'|'VIDEO'} type
+ * @property {string|null} group_id
+ * @property {string|null} name
+ * @property {string|null} language
+ * @property {boolean} default
+ * @property {string|null} url
+ */
+
+/**
+ * @typedef {Object} StreamCandidate
+ * @property {string} url
+ * @property {'hls'|'dash'|'mp4'} type
+ * @property {number} priority
+ * @property {string} detected_by
+ * @property {string} frame_url
+ * @property {boolean|null} [validated]
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} ExtractData
+ * @property {'hls'|'dash'|'mp4'} type
+ * @property {string} stream_url
+ * @property {boolean|null} validated
+ * @property {Object<string, string>} headers   Send these with every stream request
+ * @property {string|null} proxy_url
+ * @property {Subtitle[]} subtitles
+ * @property {Variant[]} variants
+ * @property {Rendition[]} renditions
+ * @property {string|null} expires_at
+ * @property {string|null} rule
+ * @property {Object} options         Extraction options that were applied
+ * @property {string} [har]           HAR file written for record_har
+ */
+
+/**
+ * @typedef {Object} ExtractResult
+ * @property {boolean} success
+ * @property {ExtractData} [data]          Present when success is true
+ * @property {StreamCandidate[]} [all_streams]
+ * @property {string} [error]              Present when success is false
+ */
+
+/**
+ * @typedef {Object} ExtractOptions   Same names as the /api/extract parameters
+ * @property {number} [timeout]
+ * @property {number} [detection_window]
+ * @property {number} [click_attempts]
+ * @property {string|string[]} [type]
+ * @property {boolean} [wait_for_master]
+ * @property {boolean} [subtitles]
+ * @property {string} [user_agent]
+ * @property {string} [viewport]
+ * @property {boolean|string} [record_har]  true or a file name in the HAR directory
+ * @property {string} [replay_har]          File name in the HAR directory
+ */
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    413: 'TOO_LARGE',
+    429: 'RATE_LIMITED',
+    503: 'SERVER_BUSY'
+};
+
+class ExtractorClientError extends Error {
+    constructor(message, { status = null, code = 'HTTP_ERROR', retryAfter = null, body = null } = {}) {
+        super(message);
+        this.name = 'ExtractorClientError';
+        this.code = code;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.body = body;
+    }
+}
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+class ExtractorClient {
+    /**
+     * @param {Object} config
+     * @param {string} config.server        Base URL, e.g. https://extractor.example.com
+     * @param {string} [config.apiKey]      Sent as X-API-Key
+     * @param {number} [config.retries]     Retries for network errors, 429 and 502-504
+     * @param {number} [config.retryDelay]  First backoff (ms), doubled each time unless Retry-After says otherwise
+     * @param {number} [config.maxRetryDelay]  Longest wait (ms) between attempts
+     * @param {number} [config.timeout]     Per-attempt HTTP timeout (ms); extractions can queue for a while
+     */
+    constructor({ server, apiKey = null, retries = 2, retryDelay = 1000, maxRetryDelay = 30000, timeout = 180000 } = {}) {
+        if (!server) throw new Error('ExtractorClient needs a server URL');
+        this.server = server.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.timeout = timeout;
+    }
+
+    async request(method, path, { body, retryNetwork = true } = {}) {
+        const headers = { 'Accept': 'application/json' };
+        if (this.apiKey) headers['X-API-Key'] = this.apiKey;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        for (let attempt = 0; ; attempt++) {
+            const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+            let response;
+
+            try {
+                response = await fetch(`${this.server}${path}`, {
+                    method,
+                    headers,
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                    signal: AbortSignal.timeout(this.timeout)
+                });
+            } catch (e) {
+                if (retryNetwork && attempt < this.retries) {
+                    await wait(backoff);
+                    continue;
+                }
+                throw new ExtractorClientError(`Request to ${this.server} failed: ${e.message}`, { code: 'NETWORK_ERROR' });
+            }
+
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+            if (RETRYABLE_STATUSES.includes(response.status) && attempt < this.retries) {
+                const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : backoff;
+                // Not worth sleeping through a spent daily quota
+                if (delay <= this.maxRetryDelay) {
+                    response.body && response.body.cancel().catch(() => { });
+                    await wait(delay);
+                    continue;
+                }
+            }
+
+            return { response, retryAfter: Number.isFinite(retryAfter) ? retryAfter : null };
+        }
+    }
+
+    // Parse a JSON reply; anything but 2xx (or an extraction's own 404) throws
+    async readJson({ response, retryAfter }, allowedStatuses = []) {
+        const text = await response.text();
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (e) { }
+
+        if (response.ok || allowedStatuses.includes(response.status)) {
+            if (body === null) throw new ExtractorClientError('Server sent invalid JSON', { status: response.status });
+            return body;
+        }
+
+        throw new ExtractorClientError((body && body.error) || `HTTP ${response.status}`, {
+            status: response.status,
+            code: ERROR_CODES[response.status] || 'HTTP_ERROR',
+            retryAfter,
+            body
+        });
+    }
+
+    /**
+     * Extract a page. A page without streams resolves with `success: false`;
+     * rejected requests (bad input, auth, limits) throw ExtractorClientError.
+     * @param {string} url
+     * @param {ExtractOptions} [options]
+     * @returns {Promise<ExtractResult>}
+     */
+    async extract(url, options = {}) {
+        const reply = await this.request('POST', '/api/extract', { body: { url, options } });
+        return this.readJson(reply, [404]);
+    }
+
+    /**
+     * Extract a page as m3u, strm, ffmpeg, mpv or ytdlp text.
+     * @returns {Promise<string>}
+     */
+    async extractFormat(url, format, options = {}) {
+        const reply = await this.request('POST', '/api/extract', { body: { url, options, format } });
+        if (!reply.response.ok) {
+            const failed = await this.readJson(reply, [404]);
+            throw new ExtractorClientError(failed.error || 'Extraction failed', { status: reply.response.status, code: 'EXTRACTION_FAILED', body: failed });
+        }
+        return reply.response.text();
+    }
+
+    /**
+     * @param {string[]} urls
+     * @returns {Promise<{ success: boolean, total: number, succeeded: number, failed: number, cached: number, results: Array<ExtractResult & { url: string, cached: boolean }> }>}
+     */
+    async extractBatch(urls) {
+        return this.readJson(await this.request('POST', '/api/extract/batch', { body: { urls } }));
+    }
+
+    /**
+     * Queue an extraction. Network errors aren't retried, so a job is never submitted twice.
+     * @returns {Promise<{ job_id: string, status: string }>}
+     */
+    async createJob(url, options = {}, callbackUrl = null) {
+        const body = { url, options, ...(callbackUrl && { callback_url: callbackUrl }) };
+        return this.readJson(await this.request('POST', '/api/jobs', { body, retryNetwork: false }));
+    }
+
+    /**
+     * @returns {Promise<{ job_id: string, status: 'queued'|'running'|'done'|'failed', result: ExtractResult|null }>}
+     */
+    async getJob(id) {
+        return this.readJson(await this.request('GET', `/api/jobs/${encodeURIComponent(id)}`));
+    }
+
+    async health() {
+        return this.readJson(await this.request('GET', '/api/health'));
+    }
+}
+
+/**
+ * Extract in this process, without a server. Launches Chromium through the
+ * browser pool; call `shutdownLocal()` when done to close it.
+ * @param {string} url
+ * @param {ExtractOptions} [options]
+ * @param {Object} [local]
+ * @param {string} [local.harDir]  Directory for record_har / replay_har files (default: HAR_DIR)
+ * @returns {Promise<ExtractResult>}
+ */
+async function extractLocal(url, options = {}, { harDir } = {}) {
+    const { options: extractOptions, error } = parseExtractOptions(options, { harDir });
+    if (error) throw new ExtractorClientError(error, { code: 'BAD_REQUEST' });
+
+    // Checked even for replays, which skip the URL policy below
+    if (!/^https?:\/\//i.test(url)) throw new ExtractorClientError('Invalid URL', { code: 'BAD_REQUEST' });
+
+    // A replay never touches the network, so it runs offline
+    if (!extractOptions.replayHar) {
+        const { checkUrl } = require('./urlPolicy');
+        const blockedReason = await checkUrl(url, { target: true });
+        if (blockedReason) throw new ExtractorClientError(`Blocked URL: ${blockedReason}`, { code: 'FORBIDDEN' });
+    }
+
+    // Loaded on first use: the extractor pulls in Puppeteer and the browser pool
+    const { runExtraction } = require('./extract');
+    const { formatResult } = require('./response');
+    return formatResult(await runExtraction(url, extractOptions));
+}
+
+async function shutdownLocal() {
+    const { browserPool } = require('./browserPool');
+    await browserPool.cleanup();
+}
+
+module.exports = { ExtractorClient, ExtractorClientError, extractLocal, shutdownLocal };
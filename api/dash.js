@@ -0,0 +1,198 @@
+/**
+ * DASH Manifest Parser
+ * Parses MPD periods, adaptation sets and representations
+ */
+
+const { fetchManifest } = require('./hls');
+
+// -----------------------------------------------------------------
+// MINIMAL XML READER
+// -----------------------------------------------------------------
+// MPDs are plain, attribute-heavy XML, so a small tokenizer is enough
+// and keeps us from pulling in a full XML dependency.
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/?([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const stripPrefix = (name) => name.substring(name.indexOf(':') + 1);
+
+function decodeEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function parseXml(text) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const [token, rawName, rawAttributes, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+
+        parent.text += decodeEntities(text.substring(lastIndex, match.index));
+        lastIndex = match.index + token.length;
+
+        if (!rawName) {
+            if (token.startsWith('<![CDATA[')) parent.text += token.slice(9, -3);
+            continue;
+        }
+
+        const name = stripPrefix(rawName);
+
+        if (token.startsWith('</')) {
+            const openIndex = stack.map(n => n.name).lastIndexOf(name);
+            if (openIndex > 0) stack.length = openIndex;
+            continue;
+        }
+
+        const attributes = {};
+        for (const [, key, dq, sq] of (rawAttributes || '').matchAll(XML_ATTRIBUTE_PATTERN)) {
+            attributes[stripPrefix(key)] = decodeEntities(dq !== undefined ? dq : sq);
+        }
+
+        const node = { name, attributes, children: [], text: '' };
+        parent.children.push(node);
+        if (!selfClosing) stack.push(node);
+    }
+
+    return root;
+}
+
+const childrenNamed = (node, name) => node.children.filter(c => c.name === name);
+const firstChild = (node, name) => node.children.find(c => c.name === name) || null;
+
+// -----------------------------------------------------------------
+// MPD HELPERS
+// -----------------------------------------------------------------
+function parseIsoDuration(value) {
+    if (!value) return null;
+    const match = value.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return null;
+
+    const [, days, hours, minutes, seconds] = match.map(v => Number(v) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function parseFrameRate(value) {
+    if (!value) return null;
+    const [num, den] = value.split('/').map(Number);
+    return den ? Math.round((num / den) * 1000) / 1000 : num;
+}
+
+const toNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// BaseURL elements cascade MPD -> Period -> AdaptationSet -> Representation
+function resolveBase(node, baseUrl) {
+    const base = firstChild(node, 'BaseURL');
+    if (!base || !base.text.trim()) return baseUrl;
+
+    try {
+        return new URL(base.text.trim(), baseUrl).href;
+    } catch (e) {
+        return baseUrl;
+    }
+}
+
+function getContentProtection(node) {
+    return childrenNamed(node, 'ContentProtection').map(cp => ({
+        scheme_id_uri: cp.attributes['schemeIdUri'] || null,
+        value: cp.attributes['value'] || null,
+        default_kid: cp.attributes['default_KID'] || null
+    }));
+}
+
+function getContentType(adaptationSet, representation) {
+    const declared = adaptationSet.attributes['contentType'];
+    if (declared) return declared;
+
+    const mimeType = representation.attributes['mimeType'] || adaptationSet.attributes['mimeType'] || '';
+    if (mimeType.startsWith('video')) return 'video';
+    if (mimeType.startsWith('audio')) return 'audio';
+    if (mimeType.startsWith('text') || mimeType.includes('ttml') || mimeType.includes('vtt')) return 'text';
+    return null;
+}
+
+function parseRepresentation(node, adaptationSet, baseUrl) {
+    // Representation attributes override the ones inherited from the set
+    const attr = (key) => node.attributes[key] !== undefined ? node.attributes[key] : adaptationSet.attributes[key];
+    const width = toNumber(attr('width'));
+    const height = toNumber(attr('height'));
+
+    return {
+        id: node.attributes['id'] || null,
+        bandwidth: toNumber(node.attributes['bandwidth']),
+        resolution: width && height ? `${width}x${height}` : null,
+        width,
+        height,
+        codecs: attr('codecs') || null,
+        mime_type: attr('mimeType') || null,
+        frame_rate: parseFrameRate(attr('frameRate')),
+        audio_sampling_rate: toNumber(attr('audioSamplingRate')),
+        base_url: resolveBase(node, baseUrl)
+    };
+}
+
+function parseAdaptationSet(node, baseUrl) {
+    const setBase = resolveBase(node, baseUrl);
+    const representations = childrenNamed(node, 'Representation');
+    const protection = [
+        ...getContentProtection(node),
+        ...representations.flatMap(getContentProtection)
+    ];
+    const role = firstChild(node, 'Role');
+
+    return {
+        id: node.attributes['id'] || null,
+        content_type: getContentType(node, representations[0] || node),
+        mime_type: node.attributes['mimeType'] || null,
+        language: node.attributes['lang'] || null,
+        role: role ? role.attributes['value'] || null : null,
+        protected: protection.length > 0,
+        content_protection: protection,
+        representations: representations
+            .map(r => parseRepresentation(r, node, setBase))
+            .sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0))
+    };
+}
+
+/**
+ * Parse an MPD document into a JSON-friendly period tree.
+ */
+function parseMpd(text, manifestUrl) {
+    const mpd = firstChild(parseXml(text), 'MPD');
+    if (!mpd) {
+        throw new Error('Not a DASH manifest');
+    }
+
+    const mpdBase = resolveBase(mpd, manifestUrl);
+
+    const periods = childrenNamed(mpd, 'Period').map(period => {
+        const periodBase = resolveBase(period, mpdBase);
+        return {
+            id: period.attributes['id'] || null,
+            start: parseIsoDuration(period.attributes['start']),
+            duration: parseIsoDuration(period.attributes['duration']),
+            adaptation_sets: childrenNamed(period, 'AdaptationSet').map(set => parseAdaptationSet(set, periodBase))
+        };
+    });
+
+    return {
+        type: 'dash',
+        is_live: mpd.attributes['type'] === 'dynamic',
+        duration: parseIsoDuration(mpd.attributes['mediaPresentationDuration']),
+        min_buffer_time: parseIsoDuration(mpd.attributes['minBufferTime']),
+        protected: periods.some(p => p.adaptation_sets.some(s => s.protected)),
+        periods
+    };
+}
+
+async function loadMpd(url, headers, fetcher = fetchManifest) {
+    const manifest = await fetcher(url, headers);
+    return parseMpd(manifest.text, manifest.url);
+}
+
+module.exports = { parseMpd, parseXml, loadMpd };
@@ -0,0 +1,198 @@
+/**
+ * In-Page Stream Discovery
+ * Reads stream URLs straight out of the DOM, player instances and page data,
+ * for pages where no click ever makes the player hit the network
+ */
+
+const MANIFEST_URL_PATTERN = /https?:\/\/[^\s"'<>]+\.(?:m3u8|mpd)[^\s"'<>]*/gi;
+
+// A frame that never settles must not stall the extraction
+const FRAME_EVALUATE_TIMEOUT = 3000;
+
+function findManifestUrls(text) {
+    return text.match(MANIFEST_URL_PATTERN) || [];
+}
+
+/**
+ * Runs inside the page, so it must not reference anything outside its body.
+ * Returns `streams` as [{ url, source, mime }] with source one of `dom`,
+ * `player_config` or `page_json` (`mime` is whatever type the page
+ * declared, if any), and subtitle `tracks` as [{ url, language, label,
+ * kind, isDefault, forced, source }] from <track> elements and players.
+ */
+function collectPageSources() {
+    const found = new Map();
+    const tracks = new Map();
+    const MANIFEST = /https?:\/\/[^\s"'<>]+\.(?:m3u8|mpd)[^\s"'<>]*/gi;
+
+    const add = (url, source, mime) => {
+        if (typeof url !== 'string' || !url) return;
+        try {
+            const absolute = new URL(url, location.href);
+            if ((absolute.protocol === 'http:' || absolute.protocol === 'https:') && !found.has(absolute.href)) {
+                found.set(absolute.href, { url: absolute.href, source, mime: typeof mime === 'string' ? mime : '' });
+            }
+        } catch (e) { }
+    };
+    const addSources = (list, source, urlKey = 'src', typeKey = 'type') => {
+        if (!Array.isArray(list)) return;
+        for (const item of list) {
+            if (typeof item === 'string') add(item, source);
+            else if (item) add(item[urlKey], source, item[typeKey]);
+        }
+    };
+    const addTrack = (url, track, source) => {
+        if (typeof url !== 'string' || !url) return;
+        const kind = (track.kind || 'subtitles').toLowerCase();
+        if (kind !== 'subtitles' && kind !== 'captions') return;
+        try {
+            const absolute = new URL(url, location.href);
+            if ((absolute.protocol === 'http:' || absolute.protocol === 'https:') && !tracks.has(absolute.href)) {
+                tracks.set(absolute.href, {
+                    url: absolute.href,
+                    language: track.language || '',
+                    label: track.label || '',
+                    kind,
+                    isDefault: Boolean(track.isDefault),
+                    forced: Boolean(track.forced),
+                    source
+                });
+            }
+        } catch (e) { }
+    };
+    const safely = (fn) => {
+        try { fn(); } catch (e) { }
+    };
+
+    // <video>/<audio> and their <source> children
+    document.querySelectorAll('video, audio').forEach(el => {
+        add(el.currentSrc || el.getAttribute('src'), 'dom');
+        add(el.getAttribute('data-src'), 'dom');
+        if (el.plyr) safely(() => add(el.plyr.source, 'player_config'));
+    });
+    document.querySelectorAll('video source, audio source').forEach(el => {
+        add(el.getAttribute('src') || el.getAttribute('data-src'), 'dom', el.getAttribute('type'));
+    });
+    document.querySelectorAll('track').forEach(el => {
+        addTrack(el.getAttribute('src'), {
+            language: el.getAttribute('srclang'),
+            label: el.getAttribute('label'),
+            kind: el.getAttribute('kind'),
+            isDefault: el.hasAttribute('default')
+        }, 'track');
+    });
+
+    // video.js
+    safely(() => {
+        if (!window.videojs || typeof window.videojs.getPlayers !== 'function') return;
+        for (const player of Object.values(window.videojs.getPlayers())) {
+            if (!player) continue;
+            addSources(player.currentSources(), 'player_config');
+
+            const textTracks = player.textTracks();
+            for (let i = 0; i < textTracks.length; i++) {
+                const t = textTracks[i];
+                addTrack(t.src, { language: t.language, label: t.label, kind: t.kind, isDefault: t.default }, 'player_config');
+            }
+        }
+    });
+
+    // JW Player: jwplayer(i) hands back a stub without getPlaylist past the last instance
+    safely(() => {
+        if (typeof window.jwplayer !== 'function') return;
+        for (let i = 0; i < 10; i++) {
+            const jw = window.jwplayer(i);
+            if (!jw || typeof jw.getPlaylist !== 'function') break;
+            for (const item of jw.getPlaylist() || []) {
+                add(item.file, 'player_config', item.type);
+                addSources(item.sources, 'player_config', 'file', 'type');
+                for (const t of item.tracks || []) {
+                    addTrack(t.file, { label: t.label, kind: t.kind, isDefault: t.default }, 'player_config');
+                }
+            }
+        }
+    });
+
+    // Clappr and hls.js instances are usually parked on a global
+    safely(() => {
+        const ClapprPlayer = window.Clappr && window.Clappr.Player;
+        const Hls = window.Hls;
+        if (!ClapprPlayer && !Hls) return;
+
+        for (const key of Object.keys(window)) {
+            let value;
+            try {
+                value = window[key];
+            } catch (e) {
+                continue;
+            }
+            if (!value || typeof value !== 'object') continue;
+
+            if (ClapprPlayer && value instanceof ClapprPlayer && value.options) {
+                add(value.options.source, 'player_config', value.options.mimeType);
+                addSources(value.options.sources, 'player_config');
+                const playback = value.options.playback || {};
+                for (const t of playback.externalTracks || []) {
+                    addTrack(t.src, { language: t.lang, label: t.label, kind: t.kind }, 'player_config');
+                }
+            }
+            if (Hls && value instanceof Hls) {
+                add(value.url, 'player_config', 'hls');
+                for (const t of value.subtitleTracks || []) {
+                    addTrack(t.url, { language: t.lang, label: t.name, isDefault: t.default, forced: t.forced }, 'player_config');
+                }
+            }
+        }
+    });
+
+    // Framework state blobs (__NEXT_DATA__, Nuxt, generic JSON islands)
+    document.querySelectorAll('script#__NEXT_DATA__, script#__NUXT_DATA__, script[type="application/json"]').forEach(script => {
+        const text = script.textContent.replace(/\\\//g, '/').replace(/\\u0026/gi, '&');
+        for (const url of text.match(MANIFEST) || []) add(url, 'page_json');
+    });
+
+    // schema.org VideoObject contentUrl
+    const walk = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+        } else if (node && typeof node === 'object') {
+            if (typeof node.contentUrl === 'string') add(node.contentUrl, 'page_json', node.encodingFormat);
+            Object.values(node).forEach(walk);
+        }
+    };
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        safely(() => walk(JSON.parse(script.textContent)));
+    });
+
+    return { streams: Array.from(found.values()), tracks: Array.from(tracks.values()) };
+}
+
+/**
+ * Run collectPageSources in each frame and combine the results. Every
+ * stream also carries the `frameUrl` it was found in, so headers can be
+ * derived from that frame.
+ */
+async function discoverPageSources(frames) {
+    const settled = await Promise.allSettled(frames.map(async (frame) => {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Frame evaluate timeout')), FRAME_EVALUATE_TIMEOUT);
+        });
+
+        try {
+            const found = await Promise.race([frame.evaluate(collectPageSources), timeout]);
+            const frameUrl = /^https?:/i.test(frame.url()) ? frame.url() : null;
+            return { streams: found.streams.map(s => ({ ...s, frameUrl })), tracks: found.tracks };
+        } finally {
+            clearTimeout(timer);
+        }
+    }));
+
+    const fulfilled = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    return {
+        streams: fulfilled.flatMap(r => r.streams),
+        tracks: fulfilled.flatMap(r => r.tracks)
+    };
+}
+
+module.exports = { collectPageSources, discoverPageSources, findManifestUrls };
@@ -5,20 +5,35 @@
  * Runs on Docker with full Puppeteer support.
  */
 
-const puppeteer = require('puppeteer');
+const path = require('path');
+const { AsyncResource } = require('async_hooks');
 const { browserPool } = require('./browserPool');
 const { resultCache } = require('./cache');
+const { loadMasterPlaylist } = require('./hls');
+const { loadMpd } = require('./dash');
+const { getResultExpiry } = require('./urlExpiry');
+const { findRule } = require('./rules');
+const { discoverPageSources, findManifestUrls } = require('./discovery');
+const { createSubtitle, mergeSubtitle, mergeSubtitleList, subtitlesFromRenditions } = require('./subtitles');
+const { probeCandidates } = require('./probe');
+const { cacheKeyFor, describeOptions } = require('./options');
+const { checkPageRequest } = require('./urlPolicy');
+const { HarRecorder, HarReplay, recordingName } = require('./har');
+const { logger } = require('./logger');
+const { recordExtraction } = require('./metrics');
 
 // -----------------------------------------------------------------
 // CONFIGURATION
 // -----------------------------------------------------------------
 const CONFIG = {
+    EXTRACTION_TIMEOUT: 50000,      // Whole extraction; requests may ask for up to EXTRACT_MAX_TIMEOUT
     NAVIGATION_TIMEOUT: 15000,      // Reduced from 20s
     INITIAL_WAIT: 2000,             // Wait after page load
     STREAM_DETECTION_WINDOW: 10000, // Max time to wait for streams
     MAX_CLICK_ATTEMPTS: 6,          // Reduced from 8
     CLICK_DELAY: 800,               // Reduced from 2000ms
     EARLY_EXIT_DELAY: 1000,         // Wait after finding master playlist
+    PROBE_STREAMS: process.env.PROBE_STREAMS !== 'false', // Check candidates are alive before answering
     RETRY_COUNT: 1
 };
 
@@ -75,39 +90,6 @@ const SUBTITLE_PATTERNS = [
     /\/captions\//i
 ];
 
-const SUBTITLE_LANGUAGE_MAP = {
-    'en': 'English',
-    'eng': 'English',
-    'english': 'English',
-    'bn': 'Bengali',
-    'bangla': 'Bengali',
-    'bengali': 'Bengali',
-    'hi': 'Hindi',
-    'hindi': 'Hindi',
-    'ar': 'Arabic',
-    'arabic': 'Arabic',
-    'es': 'Spanish',
-    'spanish': 'Spanish',
-    'fr': 'French',
-    'french': 'French',
-    'de': 'German',
-    'german': 'German',
-    'zh': 'Chinese',
-    'chinese': 'Chinese',
-    'ja': 'Japanese',
-    'japanese': 'Japanese',
-    'ko': 'Korean',
-    'korean': 'Korean',
-    'pt': 'Portuguese',
-    'portuguese': 'Portuguese',
-    'ru': 'Russian',
-    'russian': 'Russian',
-    'it': 'Italian',
-    'italian': 'Italian',
-    'tr': 'Turkish',
-    'turkish': 'Turkish'
-};
-
 // -----------------------------------------------------------------
 // PLAY BUTTON SELECTORS
 // -----------------------------------------------------------------
@@ -130,19 +112,95 @@ const BLOCKED_DOMAINS = [
     'popads.net', 'propellerads.com', 'hotjar.com'
 ];
 
+// -----------------------------------------------------------------
+// CONTENT DETECTION (for manifests without a telling extension)
+// -----------------------------------------------------------------
+const MANIFEST_MIME_TYPES = {
+    'application/vnd.apple.mpegurl': 'hls',
+    'application/x-mpegurl': 'hls',
+    'audio/mpegurl': 'hls',
+    'audio/x-mpegurl': 'hls',
+    'application/dash+xml': 'dash'
+};
+
+// Types players declare for their sources (JW Player says `hls`, not a MIME type)
+const SOURCE_TYPE_HINTS = {
+    'hls': 'hls',
+    'dash': 'dash',
+    'mp4': 'mp4',
+    'video/mp4': 'mp4'
+};
+
+// Generic types servers use for manifests they don't label properly
+const SNIFFABLE_MIME_TYPES = ['', 'text/plain', 'application/octet-stream', 'binary/octet-stream', 'text/html', 'application/xml', 'text/xml'];
+const SNIFFABLE_RESOURCES = ['xhr', 'fetch', 'other'];
+const MAX_SNIFF_SIZE = 512 * 1024;
+
 // -----------------------------------------------------------------
 // UTILITIES
 // -----------------------------------------------------------------
 const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
 const wait = (ms) => new Promise(r => setTimeout(r, ms));
 const isBlocked = (url) => BLOCKED_DOMAINS.some(d => url.includes(d));
-const looksLikeStream = (url) => STREAM_PATTERNS.some(p => p.test(url));
 const isMasterPlaylist = (url) => MASTER_PATTERNS.some(p => p.test(url));
 const looksLikeSubtitle = (url) => SUBTITLE_PATTERNS.some(p => p.test(url));
+const hasManifestExtension = (url) => /\.(m3u8|mpd)(\?|$)/i.test(url);
+
+function classifyMimeType(contentType) {
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    return MANIFEST_MIME_TYPES[mime] || null;
+}
+
+// Stream type of an in-page source, or null when it doesn't look like one
+function classifyPageSource(url, declaredType, patterns) {
+    const hinted = classifyMimeType(declaredType) || SOURCE_TYPE_HINTS[declaredType.trim().toLowerCase()];
+    if (hinted) return hinted;
+    if (hasManifestExtension(url) || /\.mp4(\?|$)/i.test(url) || patterns.some(p => p.test(url))) {
+        return getStreamType(url);
+    }
+    return null;
+}
+
+function shouldSniff(response, contentType) {
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    if (!SNIFFABLE_MIME_TYPES.includes(mime)) return false;
+    if (!SNIFFABLE_RESOURCES.includes(response.request().resourceType())) return false;
+
+    const length = parseInt(response.headers()['content-length'], 10);
+    return !(length > MAX_SNIFF_SIZE);
+}
+
+// Look at the first bytes for a playlist or MPD signature
+function sniffManifest(text) {
+    const head = text.substring(0, 1024).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('#EXTM3U')) return 'hls';
+    if (/^(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<MPD[\s>]/.test(head)) return 'dash';
+    return null;
+}
+
+const isMasterBody = (text) => text.includes('#EXT-X-STREAM-INF');
+
+// Progress callbacks must never break an extraction
+function emitEvent(onEvent, event, data) {
+    if (!onEvent) return;
+    try {
+        onEvent(event, data);
+    } catch (e) { }
+}
+
+const ABORTED_RESULT = Object.freeze({ success: false, aborted: true, error: 'Client disconnected' });
+const TIMEOUT_RESULT = Object.freeze({ success: false, error: 'Extraction timeout' });
+
+function getStreamType(url) {
+    if (/\.mpd(\?|$)/i.test(url)) return 'dash';
+    if (/\.mp4(\?|$)/i.test(url)) return 'mp4';
+    return 'hls';
+}
 
 function getStreamPriority(url) {
     let score = 0;
-    if (url.includes('.m3u8')) score += 10;
+    // HLS and DASH manifests are peers; only progressive files rank lower
+    if (url.includes('.m3u8') || /\.mpd(\?|$)/i.test(url)) score += 10;
     if (url.includes('master')) score += 5;
     if (url.includes('index')) score += 4;
     if (url.includes('manifest')) score += 3;
@@ -150,24 +208,19 @@ function getStreamPriority(url) {
     return score;
 }
 
-function extractLanguageFromUrl(url) {
-    // Try to extract language code from URL
-    const urlLower = url.toLowerCase();
-
-    // Check for language codes in URL path or query params
-    for (const [code, language] of Object.entries(SUBTITLE_LANGUAGE_MAP)) {
-        if (urlLower.includes(`/${code}/`) ||
-            urlLower.includes(`/${code}.`) ||
-            urlLower.includes(`_${code}.`) ||
-            urlLower.includes(`-${code}.`) ||
-            urlLower.includes(`=${code}&`) ||
-            urlLower.includes(`lang=${code}`) ||
-            urlLower.includes(`language=${code}`)) {
-            return language;
-        }
-    }
+/**
+ * URL of the document (top page or iframe) that issued a request.
+ * about:blank and srcdoc frames inherit their parent's URL.
+ */
+function frameUrlOf(request) {
+    let frame = request.frame();
+    while (frame && !/^https?:/i.test(frame.url())) frame = frame.parentFrame();
+    return frame ? frame.url() : null;
+}
 
-    return 'Unknown';
+// Top frame plus every live http(s) iframe, nested ones included
+function clickableFrames(page) {
+    return page.frames().filter(f => !f.detached && (f === page.mainFrame() || /^https?:/i.test(f.url())));
 }
 
 function isValidSubtitle(url) {
@@ -194,60 +247,317 @@ function isValidSubtitle(url) {
 // -----------------------------------------------------------------
 // MAIN EXTRACTION WITH CACHING AND TIMEOUT
 // -----------------------------------------------------------------
-async function extractStreams(targetUrl, userAgent, viewport) {
-    // Check cache first
-    const cached = resultCache.get(targetUrl);
-    if (cached) {
-        console.log('[CACHE] Returning cached result');
-        return cached;
+
+// Recordings must load the page, and a replay's result describes a file, not the site
+const usesCache = (options) => !options.recordHar && !options.replayHar;
+
+async function getCachedResult(targetUrl, options) {
+    // Different options give different results, so they get their own entries
+    const cached = usesCache(options) && await resultCache.get(cacheKeyFor(targetUrl, options));
+    if (!cached) return null;
+
+    logger.info('CACHE', 'Returning cached result');
+    emitEvent(options.onEvent, 'cache_hit', { url: targetUrl });
+    return cached;
+}
+
+async function extractStreams(targetUrl, userAgent, viewport, options = {}) {
+    return await getCachedResult(targetUrl, options) || extractUncached(targetUrl, userAgent, viewport, options);
+}
+
+async function extractUncached(targetUrl, userAgent, viewport, options) {
+    const { signal } = options;
+
+    if (signal && signal.aborted) {
+        return ABORTED_RESULT;
     }
 
-    // Extract with timeout
-    const result = await Promise.race([
-        extractStreamsInternal(targetUrl, userAgent, viewport),
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Extraction timeout')), 50000) // Reduced from 60s
-        )
-    ]);
-
-    // Cache successful results
-    if (result.success) {
-        resultCache.set(targetUrl, result);
+    // Extract with timeout. The timeout aborts the page like a disconnect does, and
+    // we wait for it to wind down, so the queue slot isn't freed while it still runs.
+    const timeout = options.timeout || CONFIG.EXTRACTION_TIMEOUT;
+    const controller = new AbortController();
+    const onCallerAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onCallerAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+
+    let result;
+    try {
+        result = await extractStreamsInternal(targetUrl, userAgent, viewport, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onCallerAbort);
+    }
+
+    if (result.aborted && timedOut && !(signal && signal.aborted)) {
+        logger.info('TIMEOUT', `Extraction stopped after ${timeout}ms`, { url: targetUrl });
+        return TIMEOUT_RESULT;
+    }
+
+    // Parse the manifest and cache successful results
+    if (result.success && !(signal && signal.aborted)) {
+        // Recorded URLs have nothing live behind them in a replay
+        if (CONFIG.PROBE_STREAMS && !options.replay) {
+            await validateCandidates(result, signal);
+        }
+        delete result.candidates;
+
+        await attachManifestDetails(result, options);
+        result.options = describeOptions(options);
+
+        const expiresAt = getResultExpiry(result);
+        result.expires_at = expiresAt ? new Date(expiresAt).toISOString() : null;
+
+        // Every probed candidate failed: answer, but don't pin a dead stream in the cache
+        if (result.validated === false) {
+            result.warning = 'No stream candidate passed validation; the stream may be dead or expired';
+            logger.info('PROBE', 'No candidate validated, result not cached', { url: targetUrl });
+        } else if (usesCache(options)) {
+            await resultCache.set(cacheKeyFor(targetUrl, options), result);
+        }
     }
 
     return result;
 }
 
-async function extractStreamsInternal(targetUrl, userAgent, viewport) {
-    let browser = null;
-    let isPoolBrowser = false;
+// Pick a fingerprint and extract, retrying once with a fresh one on failure.
+// A user agent or viewport requested in `options` is kept for both attempts.
+// With record_har both attempts go into one HAR file, named in `result.har`.
+// Cache hits return early, so the extraction metrics only count page loads.
+async function runExtraction(targetUrl, options = {}) {
+    const cached = await getCachedResult(targetUrl, options);
+    if (cached) return cached;
+
+    const startedAt = Date.now();
+    const userAgent = () => options.userAgent || pick(USER_AGENTS);
+    const viewport = () => options.viewport || pick(VIEWPORTS);
+    const recorder = options.recordHar ? new HarRecorder() : null;
+    const harName = options.recordHar === true ? recordingName(targetUrl) : options.recordHar;
+    let replay = null;
+    let harSaved = false;
+    let result;
+
+    if (options.replayHar) {
+        try {
+            replay = await HarReplay.load(path.join(options.harDir, options.replayHar));
+        } catch (e) {
+            return { success: false, error: `replay_har: ${e.message}` };
+        }
+        logger.info('HAR', `Replaying ${options.replayHar}`, { file: options.replayHar });
+    }
+
+    const attemptOptions = { ...options, recorder, replay };
+
+    try {
+        result = await extractUncached(targetUrl, userAgent(), viewport(), attemptOptions);
+        if (recorder) recorder.noteResult(result);
+
+        // A timed-out attempt already used the whole budget the caller gave us
+        if (!result.success && !result.aborted && result !== TIMEOUT_RESULT && CONFIG.RETRY_COUNT > 0) {
+            logger.info('RETRY', result.error, { url: targetUrl });
+            emitEvent(options.onEvent, 'retry', { error: result.error });
+            await wait(1000);
+            result = await extractUncached(targetUrl, userAgent(), viewport(), attemptOptions);
+            if (recorder) recorder.noteResult(result);
+        }
+    } catch (e) {
+        recordExtraction(targetUrl, Date.now() - startedAt, null, e);
+        throw e;
+    } finally {
+        // Failed extractions are the ones worth replaying, so always save
+        if (recorder) {
+            harSaved = await recorder.save(path.join(options.harDir, harName)).then(() => true, (e) => {
+                logger.error('HAR', `Could not save ${harName}: ${e.message}`);
+                return false;
+            });
+        }
+    }
+
+    recordExtraction(targetUrl, Date.now() - startedAt, result);
+    return harSaved ? { ...result, har: harName } : result;
+}
+
+// Probe the best candidates and let a live one take over stream_url
+async function validateCandidates(result, signal) {
+    const ranked = await probeCandidates(result.candidates, signal);
+    const best = ranked[0];
+
+    if (best.url !== result.stream_url) {
+        logger.info('PROBE', `Switching to ${best.url.substring(0, 100)} (${result.stream_url.substring(0, 60)}: ${ranked.find(s => s.url === result.stream_url).reason})`);
+    }
+
+    result.type = best.type;
+    result.stream_url = best.url;
+    result.headers = best.headers;
+    result.validated = best.validated;
+    result.all_streams = ranked.map(s => ({
+        url: s.url,
+        type: s.type,
+        priority: s.priority,
+        detected_by: s.detected_by,
+        frame_url: s.frame_url,
+        validated: s.validated,
+        reason: s.reason,
+        status: s.status,
+        response_time: s.response_time
+    }));
+}
+
+async function attachManifestDetails(result, options = {}) {
+    result.variants = [];
+    result.renditions = [];
+
+    // A replay reads the manifest from the HAR too
+    const fetcher = options.replay ? (url) => options.replay.manifest(url) : undefined;
+
+    if (result.type === 'dash') {
+        try {
+            const mpd = await loadMpd(result.stream_url, result.headers, fetcher);
+            result.periods = mpd.periods;
+            result.duration = mpd.duration;
+            result.is_live = mpd.is_live;
+            result.protected = mpd.protected;
+            logger.info('MANIFEST', `DASH with ${mpd.periods.length} periods${mpd.protected ? ' (protected)' : ''}`);
+        } catch (e) {
+            logger.info('MANIFEST', `MPD parse skipped: ${e.message}`);
+        }
+        return;
+    }
+
+    if (result.type !== 'hls') return;
+
+    try {
+        const playlist = await loadMasterPlaylist(result.stream_url, result.headers, fetcher);
+        result.variants = playlist.variants;
+        result.renditions = playlist.renditions;
+
+        // Subtitle renditions join the tracks captured on the page
+        if (options.subtitles !== false) {
+            result.subtitles = mergeSubtitleList(result.subtitles || [], subtitlesFromRenditions(playlist.renditions));
+        }
+
+        logger.info('MANIFEST', `${playlist.variants.length} variants, ${playlist.renditions.length} renditions`);
+    } catch (e) {
+        logger.info('MANIFEST', `Parse skipped: ${e.message}`);
+    }
+}
+
+async function extractStreamsInternal(targetUrl, userAgent, viewport, options = {}) {
+    const { signal } = options;
+    const emit = (event, data) => emitEvent(options.onEvent, event, data);
+    let lease = null;
     const capturedStreams = new Map();
     const capturedSubtitles = new Map();
     let bestStream = null;
     let foundMasterPlaylist = false;
 
+    // HAR: record what the handlers below see, or answer requests from a recording
+    const recording = options.recorder ? options.recorder.startPage(targetUrl) : null;
+    const replay = options.replay ? options.replay.session() : null;
+
+    // Record a subtitle track; repeat sightings only fill in missing details
+    const captureSubtitle = (track) => {
+        if (options.subtitles === false) return;
+        const subtitle = createSubtitle(track);
+        if (!mergeSubtitle(capturedSubtitles, subtitle)) return;
+
+        logger.info('SUBTITLE', `(${subtitle.source}) ${subtitle.language}: ${subtitle.url.substring(0, 80)}`, {
+            url: subtitle.url, language: subtitle.language_code, source: subtitle.source
+        });
+        emit('subtitle', subtitle);
+    };
+
+    // Request options win over site-specific overrides from rules/, which win over the globals
+    const rule = findRule(targetUrl) || {};
+    const playSelectors = rule.playSelectors || PLAY_SELECTORS;
+    // A rule's maxClickAttempts: 0 turns clicking off, so only undefined falls through
+    const maxClickAttempts = options.clickAttempts !== undefined
+        ? options.clickAttempts
+        : rule.maxClickAttempts !== undefined ? rule.maxClickAttempts : CONFIG.MAX_CLICK_ATTEMPTS;
+    const detectionWindow = options.detectionWindow !== undefined ? options.detectionWindow : CONFIG.STREAM_DETECTION_WINDOW;
+    const streamTypes = options.types || null;
+    const waitForMaster = options.waitForMaster !== false;
+    const streamPatterns = rule.includePatterns || STREAM_PATTERNS;
+    const excludePatterns = rule.excludePatterns || [];
+    const blockedDomains = rule.blockedDomains || [];
+    if (rule.name) logger.info('RULES', `Using rule "${rule.name}"`);
+
+    // Record a stream candidate; the first detection of a URL wins
+    const captureStream = (url, { type = getStreamType(url), detectedBy, referer, frameUrl, master = false, headers = {} }) => {
+        if (capturedStreams.has(url)) return;
+        if (excludePatterns.some(p => p.test(url))) return;
+        if (streamTypes && !streamTypes.includes(type)) return;
+
+        let priority = getStreamPriority(url);
+        if (detectedBy === 'content_type' || detectedBy === 'body_sniff') {
+            // Content proved it's a manifest even without the extension bonus
+            if (!hasManifestExtension(url)) priority += 10;
+            if (master && !url.includes('master')) priority += 5;
+        }
+        if (rule.priority) priority = rule.priority(url, priority);
+
+        // CDNs check the embedding iframe, not the page that embeds it
+        const documentUrl = frameUrl || targetUrl;
+
+        const streamData = {
+            url: url,
+            type: type,
+            master: master,
+            detected_by: detectedBy,
+            frame_url: documentUrl,
+            headers: {
+                'Referer': referer || documentUrl,
+                'User-Agent': userAgent,
+                'Origin': new URL(documentUrl).origin,
+                ...rule.headers,
+                ...headers
+            },
+            priority: priority
+        };
+
+        capturedStreams.set(url, streamData);
+        logger.info('STREAM', `(${detectedBy}) ${url.substring(0, 100)}${documentUrl !== targetUrl ? ` via ${documentUrl.substring(0, 60)}` : ''}`, {
+            url, type, priority, detected_by: detectedBy, frame_url: documentUrl
+        });
+        emit('stream', { url, type, priority, detected_by: detectedBy, frame_url: documentUrl });
+
+        if (!bestStream || streamData.priority > bestStream.priority) {
+            bestStream = streamData;
+        }
+    };
+
+    // Client went away or the timeout hit: kill the browser now instead of finishing the click loop
+    const onAbort = () => {
+        logger.info('ABORT', 'Stopping extraction (client disconnected or timed out)');
+        if (!lease) return;
+        // Pooled leases only lose their context; the shared browser stays up
+        (lease.entry ? lease.context : lease.browser).close().catch(() => { });
+    };
+    // Puppeteer events fire outside this request's async context; rebind so log lines keep its id
+    const on = (emitter, event, handler) => emitter.on(event, AsyncResource.bind(handler));
+    const throwIfAborted = () => {
+        if (signal && signal.aborted) throw new Error(ABORTED_RESULT.error);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
     try {
-        console.log('[INIT] Launching fresh browser (unique fingerprint)');
+        throwIfAborted();
+
         const startTime = Date.now();
 
-        // Launch FRESH browser for unique fingerprint each time
-        browser = await puppeteer.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-web-security',
-                '--disable-features=IsolateOrigins,site-per-process',
-                '--disable-blink-features=AutomationControlled'
-            ]
-        });
-        isPoolBrowser = false;
+        // Pooled browser with an isolated context, or a fresh browser in BROWSER_MODE=fresh
+        lease = await browserPool.acquire();
+        throwIfAborted();
 
-        console.log(`[INIT] Fresh browser ready in ${Date.now() - startTime}ms`);
+        logger.info('INIT', `${browserPool.enabled ? 'Browser context' : 'Fresh browser'} ready in ${Date.now() - startTime}ms`);
 
-        const page = await browser.newPage();
+        const context = lease.context;
+        const page = await context.newPage();
         await page.setUserAgent(userAgent);
+        await page.setViewport(viewport);
 
         await page.setExtraHTTPHeaders({
             'Accept-Language': 'en-US,en;q=0.9',
@@ -257,78 +567,94 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
         await page.setRequestInterception(true);
 
         // Network interception
-        page.on('request', (request) => {
+        on(page, 'request', async (request) => {
             const url = request.url();
             const resourceType = request.resourceType();
+            if (recording) recording.request(request);
 
-            if (BLOCKED_RESOURCES.includes(resourceType) || isBlocked(url)) {
+            if (BLOCKED_RESOURCES.includes(resourceType) || isBlocked(url) || blockedDomains.some(d => url.includes(d))) {
                 request.abort();
                 return;
             }
 
+            // The page (or a redirect) pointing the browser at an internal address.
+            // Replayed requests never reach the network, so there's nothing to guard.
+            const blockedReason = replay ? null : await checkPageRequest(url);
+            if (blockedReason) {
+                logger.info('POLICY', `Blocked ${resourceType} request: ${blockedReason}`, { url: url.substring(0, 200), reason: blockedReason });
+                request.abort('accessdenied').catch(() => { });
+                return;
+            }
+
             // Capture streams
-            if (looksLikeStream(url)) {
-                const headers = request.headers();
-                const streamData = {
-                    url: url,
-                    headers: {
-                        'Referer': headers['referer'] || targetUrl,
-                        'User-Agent': userAgent,
-                        'Origin': new URL(targetUrl).origin
-                    },
-                    priority: getStreamPriority(url)
-                };
-
-                capturedStreams.set(url, streamData);
-                console.log(`[STREAM] ${url.substring(0, 100)}`);
-
-                if (!bestStream || streamData.priority > bestStream.priority) {
-                    bestStream = streamData;
-                }
+            if (streamPatterns.some(p => p.test(url))) {
+                captureStream(url, { detectedBy: 'url_pattern', referer: request.headers()['referer'], frameUrl: frameUrlOf(request) });
             }
 
             // Capture subtitles
             if (looksLikeSubtitle(url) && isValidSubtitle(url)) {
-                const language = extractLanguageFromUrl(url);
-                const subtitleData = {
-                    url: url,
-                    language: language
-                };
-
-                capturedSubtitles.set(url, subtitleData);
-                console.log(`[SUBTITLE] ${language}: ${url.substring(0, 80)}`);
+                captureSubtitle({ url, source: 'network' });
+            }
+
+            if (replay) {
+                await replay.respond(request);
+                return;
             }
 
-            request.continue();
+            // The page may have closed while the policy check was waiting on DNS
+            request.continue().catch(() => { });
         });
 
-        // Response body parsing for embedded URLs
-        page.on('response', async (response) => {
+        if (recording) on(page, 'requestfailed', (request) => recording.failed(request));
+
+        // Response classification: manifest MIME types, body sniffing, embedded URLs
+        on(page, 'response', async (response) => {
+            if (recording) recording.response(response);
             try {
+                const url = response.url();
+                const status = response.status();
+                if (status >= 300 && status < 400) return;
+
                 const contentType = response.headers()['content-type'] || '';
+                const referer = response.request().headers()['referer'];
+                const frameUrl = frameUrlOf(response.request());
+
+                const mimeStreamType = classifyMimeType(contentType);
+                if (mimeStreamType) {
+                    if (capturedStreams.has(url)) return;
+                    const text = await response.text().catch(() => '');
+                    captureStream(url, { type: mimeStreamType, detectedBy: 'content_type', referer, frameUrl, master: isMasterBody(text) });
+                    return;
+                }
+
+                if (!capturedStreams.has(url) && shouldSniff(response, contentType)) {
+                    const text = await response.text().catch(() => '');
+                    const sniffedType = sniffManifest(text);
+                    if (sniffedType) {
+                        captureStream(url, { type: sniffedType, detectedBy: 'body_sniff', referer, frameUrl, master: isMasterBody(text) });
+                        return;
+                    }
+                }
+
                 if (contentType.includes('json') || contentType.includes('javascript')) {
                     const text = await response.text().catch(() => '');
-                    const matches = text.match(/https?:\/\/[^\s"'<>]+\.m3u8[^\s"'<>]*/gi) || [];
-
-                    for (const match of matches) {
-                        if (!capturedStreams.has(match)) {
-                            capturedStreams.set(match, {
-                                url: match,
-                                headers: {
-                                    'Referer': response.url(),
-                                    'User-Agent': userAgent,
-                                    'Origin': new URL(targetUrl).origin
-                                },
-                                priority: getStreamPriority(match)
-                            });
-                        }
+                    for (const match of findManifestUrls(text)) {
+                        // The player in that frame will request it, not the JSON endpoint
+                        captureStream(match, { detectedBy: 'response_body', frameUrl });
                     }
                 }
             } catch (e) { }
         });
 
+        // Players that log their source URL
+        on(page, 'console', (message) => {
+            for (const url of findManifestUrls(message.text())) {
+                captureStream(url, { detectedBy: 'console' });
+            }
+        });
+
         // Kill popups
-        browser.on('targetcreated', async (target) => {
+        on(context, 'targetcreated', async (target) => {
             if (target.type() === 'page') {
                 const newPage = await target.page().catch(() => null);
                 if (newPage && newPage !== page) {
@@ -338,17 +664,47 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
         });
 
         // Navigate
-        console.log(`[NAV] ${targetUrl}`);
+        logger.info('NAV', targetUrl, { url: targetUrl });
+        emit('navigation', { url: targetUrl });
         await page.goto(targetUrl, {
             waitUntil: 'domcontentloaded',
             timeout: CONFIG.NAVIGATION_TIMEOUT
-        }).catch(e => console.log('[NAV] Partial:', e.message));
+        }).catch(e => logger.info('NAV', `Partial: ${e.message}`));
 
         // Reduced initial wait
         await wait(CONFIG.INITIAL_WAIT);
+        throwIfAborted();
+
+        // Rule-specific readiness: the player element or its source API call
+        const waitTimeout = rule.waitTimeout || detectionWindow;
+        if (rule.waitForSelector) {
+            await page.waitForSelector(rule.waitForSelector, { timeout: waitTimeout })
+                .catch(() => logger.info('RULES', `Selector not found: ${rule.waitForSelector}`));
+        }
+        if (rule.waitForResponse) {
+            await page.waitForResponse(r => rule.waitForResponse.test(r.url()), { timeout: waitTimeout })
+                .catch(() => logger.info('RULES', `No response matched ${rule.waitForResponse}`));
+        }
+        throwIfAborted();
+
+        // Rule hook that reads streams straight from the page
+        let evaluated = 0;
+        if (rule.evaluate) {
+            try {
+                const streams = await rule.evaluate({ page, targetUrl, userAgent }) || [];
+                for (const stream of streams) {
+                    if (!stream || !stream.url) continue;
+                    captureStream(stream.url, { type: stream.type, detectedBy: 'rule', headers: stream.headers });
+                    evaluated++;
+                }
+            } catch (e) {
+                logger.info('RULES', `evaluate() failed: ${e.message}`);
+            }
+            throwIfAborted();
+        }
 
         // Block popups that might close the page
-        browser.on('targetcreated', async (target) => {
+        on(context, 'targetcreated', async (target) => {
             try {
                 const newPage = await target.page();
                 if (newPage && newPage !== page) {
@@ -357,30 +713,60 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
             } catch (e) { }
         });
 
+        // Sources and subtitle tracks already sitting in the DOM, player configs and page JSON
+        const discoverSources = async () => {
+            const { streams, tracks } = await discoverPageSources(clickableFrames(page));
+            for (const source of streams) {
+                const type = classifyPageSource(source.url, source.mime, streamPatterns);
+                if (type) captureStream(source.url, { type, detectedBy: source.source, frameUrl: source.frameUrl });
+            }
+            tracks.forEach(captureSubtitle);
+        };
+        // With wait_for_master=false any stream ends the search
+        const hasMasterStream = () =>
+            bestStream && (!waitForMaster || bestStream.type === 'dash' || bestStream.master || isMasterPlaylist(bestStream.url));
+
+        await discoverSources();
+        throwIfAborted();
+        if (hasMasterStream()) {
+            logger.info('EARLY EXIT', `${waitForMaster ? 'Master playlist' : 'Stream'} found in page`);
+            foundMasterPlaylist = true;
+        }
+
         // Aggressive parallel clicking (WORKING VERSION FROM RAILWAY)
         let attempts = 0;
         const start = Date.now();
-        const detectionWindow = CONFIG.STREAM_DETECTION_WINDOW;
 
-        while (attempts < CONFIG.MAX_CLICK_ATTEMPTS && (Date.now() - start) < detectionWindow && !foundMasterPlaylist) {
-            // Parallel clicking - try all elements at once for speed
-            const clickPromises = [];
+        // Nothing to click for if the rule already handed us the streams
+        if (evaluated > 0) logger.info('RULES', `${evaluated} streams from evaluate(), skipping clicks`);
+
+        while (evaluated === 0 && attempts < maxClickAttempts && (Date.now() - start) < detectionWindow && !foundMasterPlaylist) {
+            throwIfAborted();
 
-            for (const selector of PLAY_SELECTORS) {
-                clickPromises.push(
-                    (async () => {
-                        try {
-                            const el = await page.$(selector);
-                            if (el) {
-                                const box = await el.boundingBox();
-                                if (box && box.width > 10 && box.height > 10) {
-                                    await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
-                                    await wait(300);
+            // Parallel clicking - try all elements in every frame at once for speed
+            const clickPromises = [];
+            const clicked = [];
+            const frames = clickableFrames(page);
+
+            for (const frame of frames) {
+                for (const selector of playSelectors) {
+                    clickPromises.push(
+                        (async () => {
+                            try {
+                                const el = await frame.$(selector);
+                                if (el) {
+                                    // Box is relative to the top frame, so page.mouse can hit iframe content
+                                    const box = await el.boundingBox();
+                                    if (box && box.width > 10 && box.height > 10) {
+                                        await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
+                                        if (!clicked.includes(selector)) clicked.push(selector);
+                                        await wait(300);
+                                    }
                                 }
-                            }
-                        } catch (e) { }
-                    })()
-                );
+                            } catch (e) { }
+                        })()
+                    );
+                }
             }
 
             // Wait for all parallel clicks to complete
@@ -388,10 +774,14 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
 
             // Center click as fallback
             await page.mouse.click(viewport.width / 2, viewport.height / 2).catch(() => { });
+            emit('click', { attempt: attempts + 1, selectors: clicked, frames: frames.length });
 
-            // Early exit if we found a master playlist
-            if (bestStream && isMasterPlaylist(bestStream.url)) {
-                console.log('[EARLY EXIT] Master playlist found');
+            // Players often build their config only once playback starts
+            await discoverSources();
+
+            // Early exit if we found a master playlist (an MPD always is one)
+            if (hasMasterStream()) {
+                logger.info('EARLY EXIT', `${waitForMaster ? 'Master playlist' : 'Stream'} found`);
                 foundMasterPlaylist = true;
                 await wait(CONFIG.EARLY_EXIT_DELAY);
                 break;
@@ -403,6 +793,7 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
 
         // Final wait for any remaining streams
         await wait(1000);
+        throwIfAborted();
 
         // Results
         const allStreams = Array.from(capturedStreams.values())
@@ -414,39 +805,49 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
             bestStream = allStreams[0];
             return {
                 success: true,
+                type: bestStream.type,
                 stream_url: bestStream.url,
                 headers: bestStream.headers,
                 subtitles: allSubtitles,
-                all_streams: allStreams.map(s => ({ url: s.url, priority: s.priority }))
+                rule: rule.name || null,
+                all_streams: allStreams.map(s => ({ url: s.url, type: s.type, priority: s.priority, detected_by: s.detected_by, frame_url: s.frame_url })),
+                candidates: allStreams // Full capture data (with headers) for probing; not cached
             };
         }
 
         return { success: false, error: 'No streams found' };
 
     } catch (error) {
-        console.error('[ERROR]', error.message);
+        if (signal && signal.aborted) {
+            return ABORTED_RESULT;
+        }
+        logger.error('ERROR', error.message, { url: targetUrl });
         return { success: false, error: error.message };
     } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        if (recording) await recording.settle();
+        if (replay) logger.info('HAR', `Replay served ${replay.served} requests, ${replay.missed} not recorded`);
+
         // AGGRESSIVE CLEANUP for 500MB Railway
-        if (browser) {
+        if (lease) {
             try {
                 // Close ALL pages
-                const pages = await browser.pages();
+                const pages = await lease.context.pages();
                 await Promise.allSettled(pages.map(p => p.close().catch(() => { })));
-
-                // ALWAYS close browser - no pooling for low RAM
-                await browser.close();
-                console.log('[CLEANUP] Browser closed');
             } catch (e) {
-                console.error('[CLEANUP ERROR]', e.message);
-                try { browser.close(); } catch (e2) { }
+                logger.error('CLEANUP', `Failed: ${e.message}`);
             }
+
+            // Closes the context (pooled) or the whole browser (fresh/temporary)
+            await browserPool.release(lease);
+            logger.info('CLEANUP', lease.entry ? 'Context closed' : 'Browser closed');
         }
 
         // Force GC after each extraction
         if (global.gc) {
             global.gc();
-            console.log('[GC] Forced cleanup');
+            logger.info('GC', 'Forced cleanup');
         }
     }
 }
@@ -454,4 +855,4 @@ async function extractStreamsInternal(targetUrl, userAgent, viewport) {
 // -----------------------------------------------------------------
 // EXPORT FOR SERVER
 // -----------------------------------------------------------------
-module.exports = { extractStreams, pick, wait, USER_AGENTS, VIEWPORTS, CONFIG };
+module.exports = { extractStreams, runExtraction, pick, wait, USER_AGENTS, VIEWPORTS, CONFIG };
@@ -0,0 +1,159 @@
+/**
+ * Output Formats
+ * Renders an extraction as something a player can open directly: an M3U
+ * playlist, a Kodi .strm line or ffmpeg / mpv / yt-dlp command lines
+ */
+
+const FORMATS = {
+    m3u: 'audio/x-mpegurl; charset=utf-8',
+    strm: 'text/plain; charset=utf-8',
+    ffmpeg: 'text/plain; charset=utf-8',
+    mpv: 'text/plain; charset=utf-8',
+    ytdlp: 'text/plain; charset=utf-8'
+};
+
+// -----------------------------------------------------------------
+// SHELL QUOTING (POSIX sh, plus $'...' where a CR/LF is needed)
+// -----------------------------------------------------------------
+function shellQuote(value) {
+    const text = String(value);
+    if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// ANSI-C quoting for ffmpeg's -headers, whose lines must end in a real CRLF
+function shellQuoteAnsi(value) {
+    const escaped = String(value).replace(/[\\'\x00-\x1f\x7f]/g, (char) => {
+        if (char === '\\') return '\\\\';
+        if (char === "'") return "\\'";
+        if (char === '\r') return '\\r';
+        if (char === '\n') return '\\n';
+        if (char === '\t') return '\\t';
+        return `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`;
+    });
+    return `$'${escaped}'`;
+}
+
+const commandLine = (args) => args.join(' ');
+
+// Header values can't span lines; a value that tries would inject a header
+const headerEntries = (headers = {}) => Object.entries(headers)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value).replace(/[\r\n]+/g, ' ')]);
+
+const findHeader = (headers, name) => {
+    const entry = headerEntries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase());
+    return entry ? entry[1] : null;
+};
+
+// Signed /api/subtitles links are relative unless PUBLIC_URL is set. Without
+// a server to resolve them against (local CLI runs), link the original files.
+function subtitleLinks(data, baseUrl) {
+    return (data.subtitles || [])
+        .filter(subtitle => subtitle.vtt_url)
+        .map(subtitle => ({ ...subtitle, vtt_url: baseUrl ? new URL(subtitle.vtt_url, baseUrl).href : subtitle.url }));
+}
+
+const preferredSubtitle = (subtitles) => subtitles.find(s => s.default && !s.forced) || subtitles[0] || null;
+
+// -----------------------------------------------------------------
+// RENDERERS
+// -----------------------------------------------------------------
+function renderM3u(data, { title, baseUrl }) {
+    const lines = ['#EXTM3U', `#EXTINF:-1,${(title || data.stream_url).replace(/[\r\n]+/g, ' ')}`];
+
+    const referer = findHeader(data.headers, 'Referer');
+    const userAgent = findHeader(data.headers, 'User-Agent');
+    if (referer) lines.push(`#EXTVLCOPT:http-referrer=${referer}`);
+    if (userAgent) lines.push(`#EXTVLCOPT:http-user-agent=${userAgent}`);
+
+    // VLC loads extra inputs as slaves; several are separated by '#'
+    const subtitles = subtitleLinks(data, baseUrl);
+    if (subtitles.length > 0) {
+        lines.push(`#EXTVLCOPT:input-slave=${subtitles.map(s => s.vtt_url).join('#')}`);
+    }
+
+    lines.push(data.stream_url);
+    return lines.join('\n') + '\n';
+}
+
+// Kodi: URL|Header=value&Header=value, values URL-encoded
+function renderStrm(data) {
+    const headers = headerEntries(data.headers).map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+    return (headers.length ? `${data.stream_url}|${headers.join('&')}` : data.stream_url) + '\n';
+}
+
+function renderFfmpeg(data, { baseUrl }) {
+    const args = ['ffmpeg'];
+
+    const headers = headerEntries(data.headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    if (headers) args.push('-headers', shellQuoteAnsi(headers));
+    args.push('-i', shellQuote(data.stream_url));
+
+    // Automatic stream selection takes one subtitle stream, so add the one a player would show
+    const subtitle = preferredSubtitle(subtitleLinks(data, baseUrl));
+    if (subtitle) args.push('-i', shellQuote(subtitle.vtt_url));
+
+    args.push('-c', 'copy');
+    if (subtitle && subtitle.language_code) args.push('-metadata:s:s:0', shellQuote(`language=${subtitle.language_code}`));
+
+    // Matroska takes HLS/DASH codecs and WebVTT as they are
+    args.push('output.mkv');
+    return commandLine(args) + '\n';
+}
+
+function renderMpv(data, { baseUrl }) {
+    const args = ['mpv'];
+
+    // The -append form takes one header per flag, so commas in values (User-Agent) are safe
+    for (const [name, value] of headerEntries(data.headers)) {
+        args.push(shellQuote(`--http-header-fields-append=${name}: ${value}`));
+    }
+    for (const subtitle of subtitleLinks(data, baseUrl)) {
+        args.push(shellQuote(`--sub-files-append=${subtitle.vtt_url}`));
+    }
+
+    args.push(shellQuote(data.stream_url));
+    return commandLine(args) + '\n';
+}
+
+function renderYtdlp(data) {
+    const args = ['yt-dlp'];
+
+    for (const [name, value] of headerEntries(data.headers)) {
+        args.push('--add-header', shellQuote(`${name}:${value}`));
+    }
+
+    // yt-dlp can't take extra subtitle files, but it reads a master playlist's subtitle renditions
+    if ((data.subtitles || []).some(subtitle => subtitle.source === 'hls')) {
+        args.push('--write-subs', '--sub-langs', 'all');
+    }
+
+    args.push(shellQuote(data.stream_url));
+    return commandLine(args) + '\n';
+}
+
+const RENDERERS = {
+    m3u: renderM3u,
+    strm: renderStrm,
+    ffmpeg: renderFfmpeg,
+    mpv: renderMpv,
+    ytdlp: renderYtdlp
+};
+
+/**
+ * Render the `data` of a successful /api/extract payload. `baseUrl`
+ * resolves relative subtitle links (omit it to use the original files);
+ * `title` names the M3U entry.
+ * Returns `{ contentType, body }`.
+ */
+function renderFormat(format, data, options = {}) {
+    return {
+        contentType: FORMATS[format],
+        body: RENDERERS[format](data, options)
+    };
+}
+
+const isFormat = (value) => typeof value === 'string' && Object.prototype.hasOwnProperty.call(FORMATS, value);
+
+module.exports = { renderFormat, isFormat, shellQuote, shellQuoteAnsi, FORMATS };
@@ -0,0 +1,366 @@
+/**
+ * HAR Recording and Replay
+ * Records every request and response an extraction's page sees, bodies
+ * included, into a HAR 1.2 file, and answers a later extraction's requests
+ * from that file instead of the network
+ *
+ * Files live in HAR_DIR; requests name them, never pass a path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const { logger } = require('./logger');
+const { LOCAL_SCHEMES } = require('./urlPolicy');
+
+const HAR_CONFIG = {
+    DIR: process.env.HAR_DIR || null, // Recording and replay are off without it
+    MAX_BODY_SIZE: parseInt(process.env.HAR_MAX_BODY_SIZE, 10) || 2 * 1024 * 1024,
+    MAX_TOTAL_SIZE: parseInt(process.env.HAR_MAX_TOTAL_SIZE, 10) || 50 * 1024 * 1024,
+    SETTLE_TIMEOUT: 3000,           // Wait for body reads before the page closes
+    MAX_REDIRECTS: 5
+};
+
+const HAR_NAME_PATTERN = /^[\w-][\w.-]{0,95}\.har$/;
+
+// Chromium re-derives these from the body it is handed
+const SKIPPED_REPLAY_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding'];
+
+const isHttp = (url) => /^https?:/i.test(url);
+const withoutQuery = (url) => url.split(/[?#]/)[0];
+
+function parseHarName(value, name) {
+    const text = String(value).trim();
+    if (!HAR_NAME_PATTERN.test(text)) throw new Error(`${name} must be a file name ending in .har`);
+    return text;
+}
+
+// example.com-2026-01-31T12-00-00-000Z.har
+function recordingName(targetUrl) {
+    let host = 'page';
+    try {
+        host = new URL(targetUrl).hostname.replace(/[^\w.-]/g, '_') || host;
+    } catch (e) { }
+    return `${host.substring(0, 60)}-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+}
+
+// -----------------------------------------------------------------
+// HAR CONVERSION
+// -----------------------------------------------------------------
+
+// Puppeteer joins repeated headers (Set-Cookie) with newlines
+const toHarHeaders = (headers = {}) => Object.entries(headers)
+    .flatMap(([name, value]) => String(value).split('\n').map(line => ({ name, value: line })));
+
+function fromHarHeaders(headers = []) {
+    const result = {};
+    for (const { name, value } of headers) {
+        const key = name.toLowerCase();
+        if (SKIPPED_REPLAY_HEADERS.includes(key)) continue;
+        result[key] = key in result ? `${result[key]}\n${value}` : String(value);
+    }
+    return result;
+}
+
+function queryStringOf(url) {
+    try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Text when the body is valid UTF-8, base64 otherwise; both round-trip exactly
+function encodeBody(body) {
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(body) };
+    } catch (e) {
+        return { text: body.toString('base64'), encoding: 'base64' };
+    }
+}
+
+function decodeBody(content = {}) {
+    if (typeof content.text !== 'string') return Buffer.alloc(0);
+    return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+const emptyResponse = () => ({
+    status: 0,
+    statusText: '',
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: [],
+    content: { size: 0, mimeType: '' },
+    redirectURL: '',
+    headersSize: -1,
+    bodySize: -1
+});
+
+// -----------------------------------------------------------------
+// RECORDING
+// -----------------------------------------------------------------
+
+// The requests of one page (one extraction attempt)
+class PageRecording {
+    constructor(recorder, pageref) {
+        this.recorder = recorder;
+        this.pageref = pageref;
+        this.requests = new Map();
+        this.pending = new Set();
+    }
+
+    request(request) {
+        const url = request.url();
+        if (!isHttp(url)) return;
+
+        const headers = request.headers();
+        const postData = request.postData();
+        const frame = request.frame();
+
+        const entry = {
+            pageref: this.pageref,
+            startedDateTime: new Date().toISOString(),
+            time: 0,
+            request: {
+                method: request.method(),
+                url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: toHarHeaders(headers),
+                queryString: queryStringOf(url),
+                ...(postData !== undefined && { postData: { mimeType: headers['content-type'] || '', text: postData } }),
+                headersSize: -1,
+                bodySize: postData ? Buffer.byteLength(postData) : 0
+            },
+            // Stays at status 0 for requests that never got an answer
+            response: emptyResponse(),
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 },
+            _resourceType: request.resourceType(),
+            _frameUrl: frame ? frame.url() : null
+        };
+
+        this.requests.set(request, { entry, startedAt: Date.now() });
+        this.recorder.entries.push(entry);
+    }
+
+    response(response) {
+        const recorded = this.requests.get(response.request());
+        if (!recorded) return;
+
+        const { entry, startedAt } = recorded;
+        const headers = response.headers();
+        const status = response.status();
+        const redirect = status >= 300 && status < 400;
+
+        entry.time = entry.timings.wait = Date.now() - startedAt;
+        entry.response = {
+            ...emptyResponse(),
+            status,
+            statusText: response.statusText(),
+            headers: toHarHeaders(headers),
+            content: { size: 0, mimeType: headers['content-type'] || '' },
+            redirectURL: redirect ? headers['location'] || '' : ''
+        };
+        if (redirect) return;
+
+        const read = this.readBody(response, entry.response.content, parseInt(headers['content-length'], 10))
+            .finally(() => this.pending.delete(read));
+        this.pending.add(read);
+    }
+
+    async readBody(response, content, declaredSize) {
+        const fits = (size) => size <= HAR_CONFIG.MAX_BODY_SIZE && this.recorder.bodyBytes + size <= HAR_CONFIG.MAX_TOTAL_SIZE;
+
+        // Don't pull a large media segment into memory just to drop it
+        if (Number.isFinite(declaredSize) && !fits(declaredSize)) {
+            content.size = declaredSize;
+            content.comment = 'Body not recorded: over the HAR size limit';
+            return;
+        }
+
+        try {
+            const body = await response.buffer();
+            content.size = body.length;
+            if (!fits(body.length)) {
+                content.comment = 'Body not recorded: over the HAR size limit';
+                return;
+            }
+            this.recorder.bodyBytes += body.length;
+            Object.assign(content, encodeBody(body));
+        } catch (e) {
+            content.comment = `Body not recorded: ${e.message}`;
+        }
+    }
+
+    failed(request) {
+        const recorded = this.requests.get(request);
+        if (!recorded) return;
+        const failure = request.failure();
+        recorded.entry._error = failure ? failure.errorText : 'Request failed';
+    }
+
+    // Body reads still in flight need the page open
+    async settle() {
+        let timer;
+        await Promise.race([
+            Promise.allSettled([...this.pending]),
+            new Promise(resolve => { timer = setTimeout(resolve, HAR_CONFIG.SETTLE_TIMEOUT); })
+        ]).finally(() => clearTimeout(timer));
+    }
+}
+
+class HarRecorder {
+    constructor() {
+        this.pages = [];
+        this.entries = [];
+        this.bodyBytes = 0;
+    }
+
+    // Each extraction attempt becomes a HAR page
+    startPage(targetUrl) {
+        const pageref = `page_${this.pages.length + 1}`;
+        this.pages.push({ startedDateTime: new Date().toISOString(), id: pageref, title: targetUrl, pageTimings: {} });
+        return new PageRecording(this, pageref);
+    }
+
+    // What the attempt found, so a replay can be compared against it
+    noteResult(result) {
+        const page = this.pages[this.pages.length - 1];
+        if (!page) return;
+        page._result = {
+            success: result.success,
+            type: result.type || null,
+            stream_url: result.stream_url || null,
+            error: result.error || null
+        };
+    }
+
+    toHar() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'hls-stream-extractor', version },
+                pages: this.pages,
+                entries: this.entries
+            }
+        };
+    }
+
+    async save(file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify(this.toHar()));
+        logger.info('HAR', `Recorded ${this.entries.length} requests to ${path.basename(file)}`, { file: path.basename(file), entries: this.entries.length });
+    }
+}
+
+// -----------------------------------------------------------------
+// REPLAY
+// -----------------------------------------------------------------
+class HarReplay {
+    constructor(har) {
+        this.byUrl = new Map();
+        this.byPath = new Map();
+
+        for (const entry of har.log.entries) {
+            // Requests that failed while recording fail again by not being found
+            if (!entry.request || !entry.response || !entry.response.status) continue;
+            const { method, url } = entry.request;
+            this.add(this.byUrl, `${method} ${url}`, entry);
+            this.add(this.byPath, `${method} ${withoutQuery(url)}`, entry);
+        }
+    }
+
+    static async load(file) {
+        const har = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error(`${path.basename(file)} is not a HAR file`);
+        return new HarReplay(har);
+    }
+
+    add(map, key, entry) {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(entry);
+    }
+
+    // Exact URL first; then the same path, for cache-busting and token parameters
+    candidates(method, url) {
+        return this.byUrl.get(`${method} ${url}`) || this.byPath.get(`${method} ${withoutQuery(url)}`) || null;
+    }
+
+    // Serving state for one page; repeated requests get the recorded answers in order
+    session() {
+        return new ReplaySession(this);
+    }
+
+    /**
+     * The recorded manifest at `url`, following recorded redirects.
+     * Same shape as hls.fetchManifest, which it stands in for.
+     */
+    async manifest(url) {
+        let current = url;
+
+        for (let hop = 0; hop <= HAR_CONFIG.MAX_REDIRECTS; hop++) {
+            const found = this.candidates('GET', current);
+            if (!found) throw new Error('Manifest is not in the HAR');
+
+            const { status, redirectURL, content } = found[found.length - 1].response;
+            if (status >= 300 && status < 400 && redirectURL) {
+                current = new URL(redirectURL, current).href;
+                continue;
+            }
+            if (status < 200 || status >= 300) throw new Error(`Manifest request failed with HTTP ${status}`);
+
+            return { url: current, text: decodeBody(content).toString('utf8') };
+        }
+
+        throw new Error(`Too many redirects (max ${HAR_CONFIG.MAX_REDIRECTS})`);
+    }
+}
+
+class ReplaySession {
+    constructor(replay) {
+        this.replay = replay;
+        this.used = new Map();
+        this.served = 0;
+        this.missed = 0;
+    }
+
+    next(method, url) {
+        const found = this.replay.candidates(method, url);
+        if (!found) return null;
+
+        const key = `${method} ${url}`;
+        const count = this.used.get(key) || 0;
+        this.used.set(key, count + 1);
+        return found[Math.min(count, found.length - 1)];
+    }
+
+    // Answer an intercepted request from the HAR; nothing goes to the network.
+    // Replays skip the URL policy, so file: and other schemes are refused here.
+    async respond(request) {
+        const url = request.url();
+        if (!isHttp(url)) {
+            if (LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) return request.continue().catch(() => { });
+            return request.abort('accessdenied').catch(() => { });
+        }
+
+        const entry = this.next(request.method(), url);
+        if (!entry) {
+            this.missed++;
+            logger.info('HAR', `Not recorded: ${request.method()} ${url.substring(0, 100)}`, { url: url.substring(0, 200) });
+            return request.abort('internetdisconnected').catch(() => { });
+        }
+
+        this.served++;
+        const { status, headers, content } = entry.response;
+        return request.respond({ status, headers: fromHarHeaders(headers), body: decodeBody(content) }).catch(() => { });
+    }
+}
+
+module.exports = {
+    HarRecorder,
+    HarReplay,
+    parseHarName,
+    recordingName,
+    HAR_CONFIG
+};
@@ -0,0 +1,144 @@
+/**
+ * HLS Manifest Parser
+ * Fetches master playlists and parses variants and renditions
+ */
+
+const { guardedFetch } = require('./urlPolicy');
+const { readLimited } = require('./probe');
+
+const MANIFEST_FETCH_TIMEOUT = 8000;
+const MANIFEST_MAX_SIZE = 10 * 1024 * 1024; // Same cap as subtitle files
+
+// Matches KEY=VALUE pairs, where VALUE is either quoted or runs to the next comma
+const ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+function parseAttributes(line) {
+    const attributes = {};
+    const list = line.substring(line.indexOf(':') + 1);
+
+    for (const [, key, rawValue] of list.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[key] = rawValue.startsWith('"') ? rawValue.slice(1, -1) : rawValue;
+    }
+
+    return attributes;
+}
+
+function resolveUri(uri, baseUrl) {
+    try {
+        return new URL(uri, baseUrl).href;
+    } catch (e) {
+        return uri;
+    }
+}
+
+const toNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+const toBoolean = (value) => value === 'YES';
+
+function parseVariant(attributes, uri, baseUrl) {
+    const resolution = attributes['RESOLUTION'] || null;
+    const [width, height] = resolution ? resolution.split('x').map(Number) : [null, null];
+
+    return {
+        url: resolveUri(uri, baseUrl),
+        bandwidth: toNumber(attributes['BANDWIDTH']),
+        average_bandwidth: toNumber(attributes['AVERAGE-BANDWIDTH']),
+        resolution,
+        width,
+        height,
+        codecs: attributes['CODECS'] || null,
+        frame_rate: toNumber(attributes['FRAME-RATE']),
+        audio: attributes['AUDIO'] || null,
+        video: attributes['VIDEO'] || null,
+        subtitles: attributes['SUBTITLES'] || null,
+        closed_captions: attributes['CLOSED-CAPTIONS'] || null
+    };
+}
+
+function parseRendition(attributes, baseUrl) {
+    return {
+        type: attributes['TYPE'] || null,
+        group_id: attributes['GROUP-ID'] || null,
+        name: attributes['NAME'] || null,
+        language: attributes['LANGUAGE'] || null,
+        default: toBoolean(attributes['DEFAULT']),
+        autoselect: toBoolean(attributes['AUTOSELECT']),
+        forced: toBoolean(attributes['FORCED']),
+        channels: attributes['CHANNELS'] || null,
+        url: attributes['URI'] ? resolveUri(attributes['URI'], baseUrl) : null
+    };
+}
+
+/**
+ * Parse an HLS playlist. Media playlists have no variants, so
+ * `is_master` tells callers whether the lists are meaningful.
+ */
+function parseMasterPlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+    if (!lines.length || !lines[0].startsWith('#EXTM3U')) {
+        throw new Error('Not an HLS playlist');
+    }
+
+    const variants = [];
+    const renditions = [];
+    let pendingVariant = null;
+
+    for (const line of lines) {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            pendingVariant = parseAttributes(line);
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+            renditions.push(parseRendition(parseAttributes(line), baseUrl));
+        } else if (pendingVariant && !line.startsWith('#')) {
+            variants.push(parseVariant(pendingVariant, line, baseUrl));
+            pendingVariant = null;
+        }
+    }
+
+    variants.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+
+    return {
+        is_master: variants.length > 0,
+        variants,
+        renditions
+    };
+}
+
+async function fetchManifest(url, headers = {}) {
+    const response = await guardedFetch(url, {
+        headers,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(MANIFEST_FETCH_TIMEOUT)
+    });
+
+    if (!response.ok) {
+        response.body && response.body.cancel().catch(() => { });
+        throw new Error(`Manifest request failed with HTTP ${response.status}`);
+    }
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > MANIFEST_MAX_SIZE) {
+        response.body && response.body.cancel().catch(() => { });
+        throw new Error('Manifest too large');
+    }
+
+    // An endless or huge body stops at the cap instead of filling memory
+    const body = await readLimited(response, MANIFEST_MAX_SIZE);
+    if (!body) throw new Error('Manifest too large');
+
+    return {
+        url: response.url || url,
+        text: new TextDecoder().decode(body)
+    };
+}
+
+/**
+ * Download a master playlist with the captured headers and parse it.
+ * Relative URIs resolve against the final (post-redirect) URL.
+ * `fetcher` replaces fetchManifest (HAR replays read from the file).
+ */
+async function loadMasterPlaylist(url, headers, fetcher = fetchManifest) {
+    const manifest = await fetcher(url, headers);
+    return parseMasterPlaylist(manifest.text, manifest.url);
+}
+
+module.exports = { parseMasterPlaylist, fetchManifest, loadMasterPlaylist };
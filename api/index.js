@@ -25,7 +25,16 @@ module.exports = async (req, res) => {
                 path: '/api/extract',
                 params: {
                     url: 'Target page URL (required)',
-                    timeout: 'Extraction timeout in ms (optional, default: 30000)'
+                    timeout: 'Extraction timeout in ms (optional, default: 50000)',
+                    detection_window: 'How long to keep clicking for streams, in ms (optional)',
+                    click_attempts: 'Play-button click rounds (optional)',
+                    type: 'Only return these stream types: hls, dash, mp4 (optional, comma-separated)',
+                    wait_for_master: 'Keep looking until a master playlist shows up (optional, default: true)',
+                    subtitles: 'Collect subtitles (optional, default: true)',
+                    user_agent: 'Browser user agent (optional, default: random)',
+                    viewport: 'Browser viewport as WIDTHxHEIGHT (optional, default: random)',
+                    record_har: 'Record the page to a HAR file in HAR_DIR: true or a file name (optional)',
+                    replay_har: 'Answer the page from this HAR file in HAR_DIR instead of the network (optional)'
                 },
                 example: '/api/extract?url=https://example.com/video-page'
             },
@@ -0,0 +1,173 @@
+/**
+ * Async Job Manager
+ * Runs extractions in the background and delivers results by polling or webhook
+ */
+
+const crypto = require('crypto');
+const { runExtraction, wait } = require('./extract');
+const { requestQueue } = require('./requestQueue');
+const { formatResult } = require('./response');
+const { logger } = require('./logger');
+const { guardedFetch } = require('./urlPolicy');
+
+const JOB_TTL = parseInt(process.env.JOB_TTL, 10) || 60 * 60 * 1000; // Keep finished jobs 1 hour
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''; // Webhooks are refused without it
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 4;
+const WEBHOOK_RETRY_DELAY = 2000;   // Doubled after each failed attempt
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Sign a webhook body. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to X-Signature.
+ */
+function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class JobManager {
+    constructor() {
+        this.jobs = new Map();
+
+        // Drop finished jobs once they have been around long enough to poll
+        this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+        this.cleanupTimer.unref();
+    }
+
+    // Unsigned callbacks could be forged by anyone who learns the URL
+    get webhooksEnabled() {
+        return Boolean(WEBHOOK_SECRET);
+    }
+
+    create(url, options = {}, callbackUrl = null) {
+        const job = {
+            id: crypto.randomUUID(),
+            url,
+            options,
+            status: 'queued',
+            result: null,
+            error: null,
+            created_at: Date.now(),
+            started_at: null,
+            finished_at: null,
+            callback: callbackUrl ? { url: callbackUrl, attempts: 0, delivered: false, last_error: null } : null
+        };
+
+        this.jobs.set(job.id, job);
+        logger.info('JOB', `${job.id} queued for ${url.substring(0, 80)}`, { job_id: job.id, url });
+
+        this.run(job);
+        return job;
+    }
+
+    async run(job) {
+        try {
+            // A job waits in line for as long as it takes; that's what makes it async
+            const result = await requestQueue.process(async (signal) => {
+                job.status = 'running';
+                job.started_at = Date.now();
+                logger.info('JOB', `${job.id} running`);
+                return runExtraction(job.url, { ...job.options, signal });
+            }, { id: job.id, waitTimeout: Infinity });
+
+            job.result = formatResult(result);
+            job.status = result.success ? 'done' : 'failed';
+            job.error = result.success ? null : result.error;
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finished_at = Date.now();
+        logger.info('JOB', `${job.id} ${job.status}`, { job_id: job.id, status: job.status });
+
+        if (job.callback) {
+            await this.deliver(job);
+        }
+    }
+
+    async deliver(job) {
+        const { callback, ...payload } = this.toJSON(job);
+        const body = JSON.stringify(payload);
+
+        while (job.callback.attempts < WEBHOOK_MAX_ATTEMPTS) {
+            job.callback.attempts++;
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const headers = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'hls-stream-extractor',
+                'X-Job-Id': job.id,
+                'X-Signature-Timestamp': timestamp,
+                'X-Signature': signPayload(body, timestamp)
+            };
+
+            try {
+                const response = await guardedFetch(job.callback.url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+                });
+
+                if (response.ok) {
+                    job.callback.delivered = true;
+                    job.callback.last_error = null;
+                    logger.info('WEBHOOK', `${job.id} delivered`);
+                    return;
+                }
+                job.callback.last_error = `HTTP ${response.status}`;
+            } catch (e) {
+                job.callback.last_error = e.message;
+            }
+
+            logger.info('WEBHOOK', `${job.id} attempt ${job.callback.attempts} failed: ${job.callback.last_error}`);
+            if (job.callback.attempts < WEBHOOK_MAX_ATTEMPTS) {
+                await wait(WEBHOOK_RETRY_DELAY * 2 ** (job.callback.attempts - 1));
+            }
+        }
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [id, job] of this.jobs.entries()) {
+            if (job.finished_at && now - job.finished_at > JOB_TTL) {
+                this.jobs.delete(id);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            logger.info('JOB', `Cleaned ${removed} finished jobs`);
+        }
+    }
+
+    toJSON(job) {
+        return {
+            job_id: job.id,
+            status: job.status,
+            url: job.url,
+            position: job.status === 'queued' ? requestQueue.getPosition(job.id) : null,
+            created_at: new Date(job.created_at).toISOString(),
+            started_at: job.started_at ? new Date(job.started_at).toISOString() : null,
+            finished_at: job.finished_at ? new Date(job.finished_at).toISOString() : null,
+            error: job.error,
+            result: job.result,
+            callback: job.callback
+        };
+    }
+
+    getStats() {
+        const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+        for (const job of this.jobs.values()) counts[job.status]++;
+        return counts;
+    }
+}
+
+const jobManager = new JobManager();
+
+module.exports = { jobManager, signPayload };
@@ -0,0 +1,185 @@
+/**
+ * Language Normalization
+ * Turns codes, names and labels ("eng", "pt_BR", "English [CC]") into
+ * BCP-47 tags with English display names
+ */
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const standardNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none', languageDisplay: 'standard' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+
+// Valid tags that don't name an actual language
+const NON_LANGUAGES = ['und', 'zxx', 'mul', 'mis', 'root'];
+
+// Regional variants sites label by name ("Portuguese (Brazil)", "Latin American Spanish")
+const REGIONAL_TAGS = ['pt-BR', 'pt-PT', 'es-419', 'es-ES', 'es-MX', 'en-US', 'en-GB', 'fr-CA', 'zh-Hans', 'zh-Hant', 'zh-TW', 'zh-HK'];
+
+// Native and colloquial names Intl doesn't know in English
+const NAME_ALIASES = {
+    'castellano': 'es',
+    'español': 'es',
+    'espanol': 'es',
+    'latino': 'es-419',
+    'français': 'fr',
+    'francais': 'fr',
+    'deutsch': 'de',
+    'português': 'pt',
+    'portugues': 'pt',
+    'brazilian': 'pt-BR',
+    'italiano': 'it',
+    'nederlands': 'nl',
+    'polski': 'pl',
+    'türkçe': 'tr',
+    'turkce': 'tr',
+    'русский': 'ru',
+    'العربية': 'ar',
+    'हिन्दी': 'hi',
+    'বাংলা': 'bn',
+    'bangla': 'bn',
+    '日本語': 'ja',
+    '中文': 'zh',
+    '한국어': 'ko',
+    'farsi': 'fa',
+    'mandarin': 'zh',
+    'cantonese': 'yue'
+};
+
+const TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+let nameIndex = null;
+
+// English name -> tag, built once from every two-letter code Intl can name
+function getNameIndex() {
+    if (nameIndex) return nameIndex;
+
+    nameIndex = new Map(Object.entries(NAME_ALIASES));
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    const tags = [...REGIONAL_TAGS];
+    for (const a of letters) {
+        for (const b of letters) tags.push(a + b);
+    }
+
+    for (const tag of tags) {
+        for (const names of [displayNames, standardNames]) {
+            const name = names.of(tag);
+            if (name && !nameIndex.has(name.toLowerCase())) nameIndex.set(name.toLowerCase(), tag);
+        }
+    }
+    return nameIndex;
+}
+
+function fromTag(value) {
+    if (!TAG_PATTERN.test(value)) return null;
+
+    let code;
+    try {
+        code = Intl.getCanonicalLocales(value)[0];
+    } catch (e) {
+        return null;
+    }
+
+    if (NON_LANGUAGES.includes(code.split('-')[0].toLowerCase())) return null;
+
+    // Well-formed but made up, like the "EN" in "my-en"
+    const { region } = new Intl.Locale(code);
+    if (region && !regionNames.of(region)) return null;
+
+    const name = displayNames.of(code);
+    return name ? { code, name } : null;
+}
+
+function fromName(value) {
+    const tag = getNameIndex().get(value.toLowerCase());
+    return tag ? fromTag(tag) : null;
+}
+
+/**
+ * `{ code, name }` for a language code or name, or null if unrecognised.
+ */
+function normalizeLanguage(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim().replace(/_/g, '-');
+    if (!trimmed) return null;
+
+    return fromTag(trimmed) || fromName(trimmed);
+}
+
+// Stricter match for words scraped out of URLs and labels: a three-letter
+// word only counts if it is the ISO 639-2 form of a two-letter code, so
+// "new" or "sdh" don't turn into Newari or Southern Kurdish
+function fromToken(value) {
+    const found = normalizeLanguage(value);
+    if (found && /^[a-z]{3}$/i.test(value) && found.code.length === 3) return null;
+    return found;
+}
+
+/**
+ * Like normalizeLanguage, but tolerates track labels with extras:
+ * "English [CC]", "Español (Latinoamérica) - Forced", "SDH English".
+ */
+function languageFromLabel(label) {
+    if (typeof label !== 'string' || !label.trim()) return null;
+
+    // The whole label goes through the token guard too: "SDH" or "New" alone isn't a language
+    const direct = fromToken(label.trim());
+    if (direct) return direct;
+
+    const stripped = label.replace(/[[(].*?[\])]/g, ' ').replace(/\s+-\s+.*$/, '').trim();
+    const candidates = [stripped, ...stripped.split(/[\s,/|]+/)];
+    for (const candidate of candidates) {
+        // Bare two-letter words in a label are too ambiguous ("It", "No")
+        if (candidate.length <= 2) continue;
+        const found = fromToken(candidate);
+        if (found) return found;
+    }
+    return null;
+}
+
+const LANGUAGE_PARAMS = ['lang', 'language', 'srclang', 'locale', 'hl', 'sub_lang', 'subtitle_lang'];
+
+/**
+ * Language hinted by a subtitle URL: a language query parameter, the last
+ * token of the file name (`movie.en.vtt`, `subs_pt-BR.srt`), or the parent
+ * directory when it is unambiguous (`/english/`, `/eng/`, `/pt-br/`). Bare
+ * two-letter directories such as `/it/` are ignored, they are rarely a language.
+ */
+function languageFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+
+    for (const [key, value] of parsed.searchParams.entries()) {
+        if (LANGUAGE_PARAMS.includes(key.toLowerCase())) {
+            const found = normalizeLanguage(value);
+            if (found) return found;
+        }
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean).map(s => {
+        try {
+            return decodeURIComponent(s);
+        } catch (e) {
+            return s;
+        }
+    });
+    const fileName = (segments.pop() || '').replace(/\.[a-z0-9]+$/i, '');
+    const tokens = fileName.split(/[._\s-]+/).filter(Boolean);
+
+    const tail = [tokens.slice(-2).join('-'), tokens[tokens.length - 1]];
+    if (tokens.length === 1) tail.shift();
+    for (const candidate of tail) {
+        const found = candidate && fromToken(candidate);
+        if (found) return found;
+    }
+
+    const parent = segments.pop();
+    if (parent && parent.length > 2) {
+        return fromToken(parent);
+    }
+    return null;
+}
+
+module.exports = { normalizeLanguage, languageFromLabel, languageFromUrl };
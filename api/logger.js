@@ -0,0 +1,60 @@
+/**
+ * Logging
+ * `[TAG] message` lines by default, one JSON object per line with
+ * LOG_FORMAT=json. Lines logged while serving a request carry its id.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
+
+const requestContext = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values are echoed back, so keep them tame
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function createRequestId(incoming) {
+    return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Run `fn` with every log line inside it tagged with `requestId`
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+function getRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+}
+
+function write(level, tag, message, fields) {
+    const stream = level === 'error' || level === 'warn' ? console.error : console.log;
+
+    if (LOG_FORMAT === 'json') {
+        const requestId = getRequestId();
+        stream(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            tag: tag.toLowerCase(),
+            msg: message,
+            ...(requestId && { request_id: requestId }),
+            ...fields
+        }));
+        return;
+    }
+
+    stream(`[${tag}] ${message}`);
+}
+
+/**
+ * logger.info(tag, message, fields). `fields` only show up in JSON mode;
+ * the text line is just `[TAG] message`.
+ */
+const logger = {
+    info: (tag, message, fields = {}) => write('info', tag, message, fields),
+    warn: (tag, message, fields = {}) => write('warn', tag, message, fields),
+    error: (tag, message, fields = {}) => write('error', tag, message, fields)
+};
+
+module.exports = { logger, createRequestId, runWithRequestId, getRequestId, LOG_FORMAT };
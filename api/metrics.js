@@ -0,0 +1,217 @@
+/**
+ * Prometheus Metrics
+ * A minimal counter/gauge/histogram registry rendered in the Prometheus
+ * text exposition format at GET /metrics
+ */
+
+const PREFIX = 'hls_extractor_';
+
+// Target hostnames are a label; past this many distinct ones, new hosts count as "other"
+const MAX_HOST_LABELS = parseInt(process.env.METRICS_MAX_HOSTS, 10) || 200;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// -----------------------------------------------------------------
+// METRIC TYPES
+// -----------------------------------------------------------------
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Label values in declaration order, so {a, b} and {b, a} are the same series
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    labelsOf(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    // For counters kept elsewhere (cache hits, browser launches): copy the running total
+    set(labels, value) {
+        this.series.set(this.key(labels), value);
+    }
+
+    render() {
+        const lines = this.header();
+        for (const [key, value] of this.series) lines.push(`${this.name}${formatLabels(this.labelsOf(key))} ${value}`);
+        return lines;
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const key = this.key(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const [key, series] of this.series) {
+            const labels = this.labelsOf(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+// -----------------------------------------------------------------
+// APPLICATION METRICS
+// -----------------------------------------------------------------
+const metrics = {
+    extractionDuration: new Histogram(`${PREFIX}extraction_duration_seconds`,
+        'Time to answer an extraction, retries and cache hits included', ['outcome'],
+        [0.1, 1, 2.5, 5, 10, 15, 20, 30, 45, 60, 90]),
+    extractions: new Counter(`${PREFIX}extractions_total`,
+        'Extractions by target hostname, outcome and error type', ['host', 'outcome', 'error']),
+    cacheHits: new Counter(`${PREFIX}cache_hits_total`, 'Result cache hits'),
+    cacheMisses: new Counter(`${PREFIX}cache_misses_total`, 'Result cache misses'),
+    cacheErrors: new Counter(`${PREFIX}cache_errors_total`, 'Result cache backend errors'),
+    queueDepth: new Gauge(`${PREFIX}queue_depth`, 'Requests waiting for an extraction slot'),
+    queueRunning: new Gauge(`${PREFIX}queue_running`, 'Extractions currently running'),
+    queueWait: new Histogram(`${PREFIX}queue_wait_seconds`,
+        'Time spent waiting for an extraction slot', [],
+        [0, 0.5, 1, 2.5, 5, 10, 20, 30, 60]),
+    queueRejected: new Counter(`${PREFIX}queue_rejected_total`,
+        'Requests that never got a slot', ['reason']),
+    browserLaunches: new Counter(`${PREFIX}browser_launches_total`, 'Browsers launched'),
+    browserCrashes: new Counter(`${PREFIX}browser_crashes_total`, 'Browsers that disconnected or failed a health check'),
+    browsers: new Gauge(`${PREFIX}browsers`, 'Browsers in the pool', ['state']),
+    residentMemory: new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes'),
+    heapUsed: new Gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes')
+};
+
+// Fixed set of error types, so free-form messages can't blow up label cardinality
+const ERROR_TYPES = [
+    ['aborted', /client disconnected|aborted/i],
+    ['timeout', /timeout|timed out/i],
+    ['no_streams', /no streams found/i],
+    ['navigation', /net::|navigation|ERR_/i],
+    ['browser', /browser|target closed|session closed|protocol error/i]
+];
+
+function classifyError(error) {
+    if (!error) return 'unknown';
+    const match = ERROR_TYPES.find(([, pattern]) => pattern.test(error));
+    return match ? match[0] : 'other';
+}
+
+const seenHosts = new Set();
+
+function hostLabel(targetUrl) {
+    let host;
+    try {
+        host = new URL(targetUrl).hostname;
+    } catch (e) {
+        return 'invalid';
+    }
+
+    if (seenHosts.has(host)) return host;
+    if (seenHosts.size >= MAX_HOST_LABELS) return 'other';
+    seenHosts.add(host);
+    return host;
+}
+
+/**
+ * Count one finished extraction. Pass the result, or the thrown error.
+ */
+function recordExtraction(targetUrl, durationMs, result, thrown) {
+    let outcome = 'success';
+    let error = '';
+
+    if (thrown || !result.success) {
+        outcome = result && result.aborted ? 'aborted' : 'failure';
+        error = classifyError(thrown ? thrown.message : result.error);
+    }
+
+    metrics.extractionDuration.observe({ outcome }, durationMs / 1000);
+    metrics.extractions.inc({ host: hostLabel(targetUrl), outcome, error });
+}
+
+// Snapshot state owned by other modules right before a scrape
+async function collectRuntimeMetrics() {
+    const { requestQueue } = require('./requestQueue');
+    const { resultCache } = require('./cache');
+    const { browserPool } = require('./browserPool');
+
+    const queue = requestQueue.getStats();
+    metrics.queueDepth.set({}, queue.queued);
+    metrics.queueRunning.set({}, queue.running);
+    metrics.queueRejected.set({ reason: 'full' }, queue.rejected);
+    metrics.queueRejected.set({ reason: 'timeout' }, queue.timedOut);
+    metrics.queueRejected.set({ reason: 'aborted' }, queue.aborted);
+
+    metrics.cacheHits.set({}, resultCache.hits);
+    metrics.cacheMisses.set({}, resultCache.misses);
+    metrics.cacheErrors.set({}, resultCache.errors);
+
+    const browsers = browserPool.getStats();
+    metrics.browserLaunches.set({}, browsers.launches);
+    metrics.browserCrashes.set({}, browsers.crashes);
+    metrics.browsers.set({ state: 'busy' }, browsers.busy);
+    metrics.browsers.set({ state: 'idle' }, browsers.size - browsers.busy);
+
+    const memory = process.memoryUsage();
+    metrics.residentMemory.set({}, memory.rss);
+    metrics.heapUsed.set({}, memory.heapUsed);
+}
+
+async function renderMetrics() {
+    await collectRuntimeMetrics();
+    return Object.values(metrics).flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = { metrics, recordExtraction, classifyError, renderMetrics, Counter, Gauge, Histogram };
@@ -0,0 +1,153 @@
+/**
+ * Extraction Options
+ * Validates per-request options from a query string or JSON body and
+ * clamps them to the server's limits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHarName, HAR_CONFIG } = require('./har');
+
+// Server-side ceilings; a request asking for more gets the maximum
+const OPTION_LIMITS = {
+    MAX_TIMEOUT: parseInt(process.env.EXTRACT_MAX_TIMEOUT, 10) || 90000,
+    MIN_TIMEOUT: 5000,
+    MAX_DETECTION_WINDOW: parseInt(process.env.EXTRACT_MAX_DETECTION_WINDOW, 10) || 30000,
+    MAX_CLICK_ATTEMPTS: parseInt(process.env.EXTRACT_MAX_CLICK_ATTEMPTS, 10) || 15,
+    MAX_USER_AGENT_LENGTH: 512,
+    VIEWPORT_WIDTH: [320, 3840],
+    VIEWPORT_HEIGHT: [240, 2160]
+};
+
+const STREAM_TYPES = ['hls', 'dash', 'mp4'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function parseInteger(value, name) {
+    const text = typeof value === 'number' ? String(value) : String(value).trim();
+    const number = Number(text);
+    if (!text || !Number.isFinite(number)) throw new Error(`${name} must be a number`);
+    return Math.round(number);
+}
+
+function parseBoolean(value, name) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+    if (['0', 'false', 'no', 'off'].includes(text)) return false;
+    throw new Error(`${name} must be true or false`);
+}
+
+// "hls", "hls,dash" or ["hls", "dash"]
+function parseTypes(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const types = [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+
+    const unknown = types.find(t => !STREAM_TYPES.includes(t));
+    if (unknown || types.length === 0) {
+        throw new Error(`type must be one or more of ${STREAM_TYPES.join(', ')}`);
+    }
+    return types.sort();
+}
+
+// "1280x720" or { width, height }
+function parseViewport(value) {
+    let width, height;
+    if (typeof value === 'object' && value !== null) {
+        ({ width, height } = value);
+    } else {
+        [width, height] = String(value).toLowerCase().split('x');
+    }
+
+    if (width === undefined || height === undefined) throw new Error('viewport must look like 1280x720');
+    return {
+        width: clamp(parseInteger(width, 'viewport width'), ...OPTION_LIMITS.VIEWPORT_WIDTH),
+        height: clamp(parseInteger(height, 'viewport height'), ...OPTION_LIMITS.VIEWPORT_HEIGHT)
+    };
+}
+
+function parseUserAgent(value) {
+    const userAgent = String(value).trim();
+    // Goes straight into a request header
+    if (!userAgent || /[\r\n]/.test(userAgent)) throw new Error('user_agent must be a single line');
+    return userAgent.substring(0, OPTION_LIMITS.MAX_USER_AGENT_LENGTH);
+}
+
+// true records under a generated name; a name picks the file in HAR_DIR
+function parseRecordHar(value) {
+    if (typeof value === 'boolean' || /^(1|0|true|false|yes|no|on|off)$/i.test(String(value).trim())) {
+        return parseBoolean(value, 'record_har');
+    }
+    return parseHarName(value, 'record_har');
+}
+
+// Public name -> [option key, parser]
+const OPTION_PARSERS = {
+    timeout: ['timeout', v => clamp(parseInteger(v, 'timeout'), OPTION_LIMITS.MIN_TIMEOUT, OPTION_LIMITS.MAX_TIMEOUT)],
+    detection_window: ['detectionWindow', v => clamp(parseInteger(v, 'detection_window'), 0, OPTION_LIMITS.MAX_DETECTION_WINDOW)],
+    click_attempts: ['clickAttempts', v => clamp(parseInteger(v, 'click_attempts'), 0, OPTION_LIMITS.MAX_CLICK_ATTEMPTS)],
+    type: ['types', parseTypes],
+    wait_for_master: ['waitForMaster', v => parseBoolean(v, 'wait_for_master')],
+    subtitles: ['subtitles', v => parseBoolean(v, 'subtitles')],
+    user_agent: ['userAgent', parseUserAgent],
+    viewport: ['viewport', parseViewport],
+    record_har: ['recordHar', parseRecordHar],
+    replay_har: ['replayHar', v => parseHarName(v, 'replay_har')]
+};
+
+/**
+ * Read extraction options from a query object or JSON `options` object.
+ * Unknown keys (url, key, ...) are ignored; only options that were given
+ * are returned, so rules and CONFIG still supply the rest.
+ * Returns `{ options }`, or `{ error }` for a value that can't be used.
+ * `harDir` overrides HAR_DIR for trusted local callers (the CLI).
+ */
+function parseExtractOptions(source = {}, { harDir = HAR_CONFIG.DIR } = {}) {
+    const options = {};
+
+    for (const [name, [key, parse]] of Object.entries(OPTION_PARSERS)) {
+        const value = source[name];
+        if (value === undefined || value === null || value === '') continue;
+
+        try {
+            options[key] = parse(Array.isArray(value) && name !== 'type' ? value[0] : value);
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    // HAR files are only ever read and written inside one directory
+    if (options.recordHar || options.replayHar) {
+        if (!harDir) return { error: 'record_har and replay_har are disabled (HAR_DIR is not set)' };
+        if (options.replayHar && !fs.existsSync(path.join(harDir, options.replayHar))) {
+            return { error: `replay_har: ${options.replayHar} does not exist` };
+        }
+        options.harDir = harDir;
+    }
+
+    return { options };
+}
+
+/**
+ * Cache key for a page extracted with the given options. Plain URL when no
+ * option was set, so default requests (and batches) share entries.
+ */
+function cacheKeyFor(targetUrl, options = {}) {
+    const parts = Object.values(OPTION_PARSERS)
+        .map(([key]) => key)
+        .filter(key => options[key] !== undefined)
+        .map(key => `${key}=${JSON.stringify(options[key])}`);
+
+    return parts.length ? `${targetUrl}#options:${parts.join('&')}` : targetUrl;
+}
+
+// Applied options in their public (snake_case) names, for responses
+function describeOptions(options = {}) {
+    const described = {};
+    for (const [name, [key]] of Object.entries(OPTION_PARSERS)) {
+        if (options[key] !== undefined) described[name] = options[key];
+    }
+    return described;
+}
+
+module.exports = { parseExtractOptions, cacheKeyFor, describeOptions, OPTION_LIMITS, STREAM_TYPES };
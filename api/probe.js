@@ -0,0 +1,154 @@
+/**
+ * Stream Candidate Probing
+ * Checks that captured stream URLs are alive and really are manifests
+ */
+
+const { logger } = require('./logger');
+const { guardedFetch } = require('./urlPolicy');
+
+const PROBE_CONFIG = {
+    TOP_CANDIDATES: parseInt(process.env.PROBE_TOP_CANDIDATES, 10) || 5,
+    TIMEOUT: parseInt(process.env.PROBE_TIMEOUT, 10) || 5000,
+    SNIFF_BYTES: 2048
+};
+
+/**
+ * The caller's (optional) signal plus a timeout. AbortSignal.any only
+ * exists from Node 18.17 / 20.3, so older versions chain the two by hand.
+ */
+function probeSignal(signal, timeoutMs = PROBE_CONFIG.TIMEOUT) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    if (!signal) return timeout;
+    if (typeof AbortSignal.any === 'function') return AbortSignal.any([signal, timeout]);
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+    timeout.addEventListener('abort', abort, { once: true });
+    return controller.signal;
+}
+
+// Read just enough of the body to recognise the format, then hang up
+async function readHead(response, limit = PROBE_CONFIG.SNIFF_BYTES) {
+    if (!response.body) return Buffer.alloc(0);
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    try {
+        while (size < limit) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(Buffer.from(value));
+            size += value.length;
+        }
+    } finally {
+        reader.cancel().catch(() => { });
+    }
+
+    return Buffer.concat(chunks).subarray(0, limit);
+}
+
+// Whole body, or null as soon as it passes `maxSize` bytes, hanging up on the rest
+async function readLimited(response, maxSize) {
+    if (!response.body) return Buffer.alloc(0);
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return Buffer.concat(chunks);
+
+        size += value.length;
+        if (size > maxSize) {
+            reader.cancel().catch(() => { });
+            return null;
+        }
+        chunks.push(Buffer.from(value));
+    }
+}
+
+function checkSignature(type, head, contentType) {
+    const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+
+    if (type === 'hls') {
+        return text.startsWith('#EXTM3U') ? null : 'Missing #EXTM3U signature';
+    }
+
+    if (type === 'dash') {
+        return /<MPD[\s>]/.test(text) ? null : 'Missing <MPD> root element';
+    }
+
+    // Progressive MP4: ISO BMFF `ftyp` box near the start, or a video MIME type
+    if (head.subarray(4, 8).toString('latin1') === 'ftyp' || contentType.startsWith('video/')) {
+        return null;
+    }
+    return 'Not an MP4 file';
+}
+
+/**
+ * Probe one candidate with the headers it was captured with.
+ * Never throws; the outcome is reported in the returned object.
+ */
+async function probeStream(stream, signal) {
+    const startedAt = Date.now();
+    const outcome = (validated, reason, status = null) => ({
+        validated,
+        reason,
+        status,
+        response_time: Date.now() - startedAt
+    });
+
+    try {
+        const response = await guardedFetch(stream.url, {
+            headers: stream.headers,
+            redirect: 'follow',
+            signal: probeSignal(signal)
+        });
+
+        if (!response.ok) {
+            response.body && response.body.cancel().catch(() => { });
+            return outcome(false, `HTTP ${response.status}`, response.status);
+        }
+
+        const head = await readHead(response);
+        const problem = checkSignature(stream.type, head, response.headers.get('content-type') || '');
+        return problem ? outcome(false, problem, response.status) : outcome(true, 'ok', response.status);
+    } catch (e) {
+        const reason = e.name === 'TimeoutError' ? 'Timeout' : e.message;
+        return outcome(false, reason);
+    }
+}
+
+/**
+ * Probe the top candidates in parallel and re-rank: validated streams
+ * first (by priority, then speed), unprobed next, failed ones last.
+ */
+async function probeCandidates(candidates, signal) {
+    const sorted = [...candidates].sort((a, b) => b.priority - a.priority);
+    const top = sorted.slice(0, PROBE_CONFIG.TOP_CANDIDATES);
+
+    const results = await Promise.all(top.map(stream => probeStream(stream, signal)));
+    top.forEach((stream, i) => Object.assign(stream, results[i]));
+
+    for (const stream of sorted.slice(PROBE_CONFIG.TOP_CANDIDATES)) {
+        Object.assign(stream, { validated: null, reason: 'Not probed', status: null, response_time: null });
+    }
+
+    const rank = (s) => (s.validated === true ? 0 : s.validated === null ? 1 : 2);
+    sorted.sort((a, b) =>
+        rank(a) - rank(b) ||
+        b.priority - a.priority ||
+        (a.response_time || 0) - (b.response_time || 0)
+    );
+
+    const passed = results.filter(r => r.validated).length;
+    logger.info('PROBE', `${passed}/${top.length} candidates validated`);
+
+    return sorted;
+}
+
+module.exports = { probeStream, probeCandidates, probeSignal, readLimited, PROBE_CONFIG };
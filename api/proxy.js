@@ -0,0 +1,297 @@
+/**
+ * HLS Proxy
+ * Replays manifests and segments with the captured headers so plain
+ * browser players (<video>, hls.js) can play extraction results.
+ *
+ * Links are signed: `s` carries the result's headers and expiry, `sig` is
+ * HMAC(secret, s + "\n" + url). Only URLs the server itself signed (the
+ * extracted stream and whatever its playlists reference) can be fetched,
+ * so the proxy is not an open relay.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { logger } = require('./logger');
+const { guardedFetch } = require('./urlPolicy');
+
+const PROXY_CONFIG = {
+    // Never the API key: key holders could mint links, and rotating it would break them all
+    SECRET: process.env.PROXY_SECRET || crypto.randomBytes(32).toString('hex'),
+    TTL: parseInt(process.env.PROXY_TTL, 10) || 6 * 60 * 60 * 1000, // Links live 6 hours unless the stream expires sooner
+    PUBLIC_URL: (process.env.PUBLIC_URL || '').replace(/\/+$/, ''),
+    MAX_PLAYLIST_SIZE: 5 * 1024 * 1024,
+    SNIFF_SIZE: 4096,               // Enough of the body to spot #EXTM3U
+    UPSTREAM_TIMEOUT: 15000
+};
+
+if (!process.env.PROXY_SECRET) {
+    logger.warn('PROXY', 'No PROXY_SECRET set, proxy links will not survive a restart');
+}
+
+const PLAYLIST_MIME_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+
+// Extension-less playlists are often served with one of these; sniff before passing through
+const GENERIC_MIME_TYPES = ['', 'text/plain', 'application/octet-stream', 'binary/octet-stream'];
+
+// Forwarded from upstream responses to the player
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (session, url) => crypto.createHmac('sha256', PROXY_CONFIG.SECRET).update(`${session}\n${url}`).digest('base64url');
+
+function createSession(headers, expiresAt) {
+    return base64url(JSON.stringify({ h: headers, e: Math.floor(expiresAt / 1000) }));
+}
+
+// Signed link to one of the endpoints that replay a result's headers (/api/proxy, /api/subtitles)
+function buildSignedUrl(path, session, url) {
+    return `${PROXY_CONFIG.PUBLIC_URL}${path}?s=${session}&u=${base64url(url)}&sig=${sign(session, url)}`;
+}
+
+const buildProxyUrl = (session, url) => buildSignedUrl('/api/proxy', session, url);
+
+// Session carrying a result's headers, valid for PROXY_TTL or until the stream expires
+function sessionForResult(result) {
+    const linkExpiry = result.expires_at ? Date.parse(result.expires_at) : Infinity;
+    const expiresAt = Math.min(Date.now() + PROXY_CONFIG.TTL, linkExpiry);
+
+    return createSession(result.headers, expiresAt);
+}
+
+/**
+ * Proxy link for an extraction result's stream, or null for DASH,
+ * which the proxy does not rewrite.
+ */
+function proxyUrlForResult(result) {
+    if (!result.success || result.type === 'dash') return null;
+    return buildProxyUrl(sessionForResult(result), result.stream_url);
+}
+
+function verifyProxyRequest(query) {
+    const { s: session, u: encodedUrl, sig } = query;
+    if (!session || !encodedUrl || !sig) return { error: 'Missing proxy parameters' };
+
+    const url = Buffer.from(encodedUrl, 'base64url').toString('utf8');
+    const expected = Buffer.from(sign(session, url));
+    const given = Buffer.from(String(sig));
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return { error: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(session, 'base64url').toString('utf8'));
+    } catch (e) {
+        return { error: 'Invalid session' };
+    }
+
+    if (payload.e * 1000 < Date.now()) return { error: 'Proxy link expired' };
+
+    return { url, session, headers: payload.h || {} };
+}
+
+// -----------------------------------------------------------------
+// PLAYLIST REWRITING
+// -----------------------------------------------------------------
+function proxify(uri, baseUrl, session) {
+    let absolute;
+    try {
+        absolute = new URL(uri, baseUrl);
+    } catch (e) {
+        return uri;
+    }
+
+    // skd://, data: and friends are for the player/CDM, not for us
+    if (!['http:', 'https:'].includes(absolute.protocol)) return uri;
+    return buildProxyUrl(session, absolute.href);
+}
+
+/**
+ * Point every URI in a playlist back through the proxy: variant and
+ * segment lines plus URI="..." attributes (EXT-X-KEY, EXT-X-MAP,
+ * EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF, EXT-X-PART, ...).
+ */
+function rewritePlaylist(text, baseUrl, session) {
+    return text.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${proxify(uri, baseUrl, session)}"`);
+        }
+
+        return proxify(trimmed, baseUrl, session);
+    }).join('\n');
+}
+
+const mimeOf = (contentType) => contentType.split(';')[0].trim().toLowerCase();
+
+function isPlaylistResponse(url, contentType) {
+    return PLAYLIST_MIME_TYPES.includes(mimeOf(contentType)) || /\.m3u8?$/i.test(new URL(url).pathname);
+}
+
+// -----------------------------------------------------------------
+// REQUEST HANDLER
+// -----------------------------------------------------------------
+
+// Read until `limit` bytes or the end of the body; `done` tells which
+async function readUpTo(reader, limit) {
+    const chunks = [];
+    let size = 0;
+
+    while (size < limit) {
+        const { done, value } = await reader.read();
+        if (done) return { buffer: Buffer.concat(chunks), done: true };
+        chunks.push(Buffer.from(value));
+        size += value.length;
+    }
+
+    return { buffer: Buffer.concat(chunks), done: false };
+}
+
+// The bytes already read, then the rest of the body as it arrives
+async function* resumeBody(head, reader) {
+    if (head.length > 0) yield head;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+    }
+}
+
+function sendError(res, status, error) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error }, null, 2));
+}
+
+async function handleProxy(req, res, query) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const verified = verifyProxyRequest(query);
+    if (verified.error) {
+        sendError(res, 403, verified.error);
+        return;
+    }
+
+    const { url, session, headers } = verified;
+
+    res.removeHeader('Content-Type');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
+
+    const upstreamHeaders = { ...headers };
+    if (req.headers['range']) upstreamHeaders['Range'] = req.headers['range'];
+
+    // Stop the upstream download if the player goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const timeout = setTimeout(() => controller.abort(), PROXY_CONFIG.UPSTREAM_TIMEOUT);
+
+    let upstream;
+    try {
+        upstream = await guardedFetch(url, {
+            method: req.method,
+            headers: upstreamHeaders,
+            redirect: 'follow',
+            signal: controller.signal
+        });
+    } catch (e) {
+        clearTimeout(timeout);
+        if (!res.headersSent && !res.destroyed) {
+            // A playlist pointing at an internal host is refused, not a gateway error
+            if (e.code === 'URL_BLOCKED') sendError(res, 403, e.message);
+            else sendError(res, 502, `Upstream request failed: ${e.message}`);
+        }
+        return;
+    }
+    clearTimeout(timeout);
+
+    const finalUrl = upstream.url || url;
+    const contentType = upstream.headers.get('content-type') || '';
+    const length = parseInt(upstream.headers.get('content-length'), 10);
+    const declaredPlaylist = isPlaylistResponse(finalUrl, contentType);
+    const maybePlaylist = declaredPlaylist ||
+        (GENERIC_MIME_TYPES.includes(mimeOf(contentType)) && !req.headers['range'] && !(length > PROXY_CONFIG.MAX_PLAYLIST_SIZE));
+
+    const responseHeaders = {};
+    for (const name of PASSTHROUGH_HEADERS) {
+        const value = upstream.headers.get(name);
+        if (value) responseHeaders[name] = value;
+    }
+    // fetch() already decompressed the body, so the upstream length may be wrong
+    if (upstream.headers.get('content-encoding')) delete responseHeaders['content-length'];
+
+    if (upstream.ok && req.method === 'GET' && maybePlaylist) {
+        if (length > PROXY_CONFIG.MAX_PLAYLIST_SIZE) {
+            sendError(res, 502, 'Upstream playlist too large');
+            return;
+        }
+
+        // The player going away or a broken upstream rejects the reads
+        try {
+            const reader = upstream.body.getReader();
+            const head = await readUpTo(reader, PROXY_CONFIG.SNIFF_SIZE);
+            const isPlaylist = head.buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U');
+
+            if (isPlaylist) {
+                const rest = head.done ? { buffer: Buffer.alloc(0), done: true } : await readUpTo(reader, PROXY_CONFIG.MAX_PLAYLIST_SIZE - head.buffer.length + 1);
+                if (!rest.done) {
+                    reader.cancel().catch(() => { });
+                    sendError(res, 502, 'Upstream playlist too large');
+                    return;
+                }
+
+                const text = Buffer.concat([head.buffer, rest.buffer]).toString('utf8').replace(/^\uFEFF/, '');
+                res.writeHead(200, {
+                    'Content-Type': 'application/vnd.apple.mpegurl',
+                    'Cache-Control': 'no-cache'
+                });
+                res.end(rewritePlaylist(text, finalUrl, session));
+                return;
+            }
+
+            if (declaredPlaylist) {
+                reader.cancel().catch(() => { });
+                sendError(res, 502, 'Upstream did not return an HLS playlist');
+                return;
+            }
+
+            // Sniffed and it wasn't a playlist: pass the bytes through without buffering the rest
+            res.writeHead(upstream.status, responseHeaders);
+            Readable.from(resumeBody(head.buffer, reader))
+                .on('error', () => res.destroy())
+                .pipe(res);
+        } catch (e) {
+            if (!res.headersSent && !res.destroyed) sendError(res, 502, `Upstream request failed: ${e.message}`);
+            else res.destroy();
+        }
+        return;
+    }
+
+    // Segments, keys, init sections: stream straight through, Range included
+    res.writeHead(upstream.status, responseHeaders);
+
+    if (!upstream.body || req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    Readable.fromWeb(upstream.body)
+        .on('error', () => res.destroy())
+        .pipe(res);
+}
+
+module.exports = {
+    handleProxy,
+    proxyUrlForResult,
+    rewritePlaylist,
+    buildProxyUrl,
+    buildSignedUrl,
+    createSession,
+    sessionForResult,
+    verifyProxyRequest
+};
@@ -0,0 +1,177 @@
+/**
+ * Minimal Redis Client
+ * Just enough RESP to back the result cache, without a driver dependency
+ */
+
+const net = require('net');
+const { logger } = require('./logger');
+
+const COMMAND_TIMEOUT = 5000;
+
+class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return out;
+}
+
+/**
+ * Parse one reply starting at `offset`. Returns { value, offset } or
+ * null when the buffer does not hold a complete reply yet.
+ */
+function parseReply(buffer, offset = 0) {
+    if (offset >= buffer.length) return null;
+
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, cursor);
+                if (!item) return null;
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+        default:
+            throw new RedisError(`Unexpected reply type: ${type}`);
+    }
+}
+
+class RedisClient {
+    /**
+     * @param {string} url redis://[:password@]host[:port][/db]
+     */
+    constructor(url = 'redis://127.0.0.1:6379') {
+        const parsed = new URL(url);
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = parseInt(parsed.port, 10) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+        this.db = parseInt(parsed.pathname.slice(1), 10) || 0;
+
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    connect() {
+        if (this.socket) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setTimeout(COMMAND_TIMEOUT);
+
+            socket.once('connect', async () => {
+                socket.setTimeout(0);
+                this.socket = socket;
+                this.connecting = null;
+
+                try {
+                    if (this.password) {
+                        await this.command(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+                    }
+                    if (this.db) {
+                        await this.command(['SELECT', this.db]);
+                    }
+                    logger.info('REDIS', `Connected to ${this.host}:${this.port}`);
+                    resolve();
+                } catch (e) {
+                    socket.destroy();
+                    reject(e);
+                }
+            });
+
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('timeout', () => socket.destroy(new RedisError('Connection timeout')));
+            socket.on('error', e => {
+                if (this.connecting) reject(e);
+            });
+            socket.on('close', () => this.onClose());
+        });
+
+        return this.connecting;
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let reply;
+        while (this.pending.length && (reply = parseReply(this.buffer))) {
+            this.buffer = this.buffer.subarray(reply.offset);
+            const { resolve, reject, timer } = this.pending.shift();
+            clearTimeout(timer);
+            if (reply.value instanceof RedisError) reject(reply.value);
+            else resolve(reply.value);
+        }
+    }
+
+    onClose() {
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+
+        // Fail everything in flight; the next command reconnects
+        for (const { reject, timer } of this.pending.splice(0)) {
+            clearTimeout(timer);
+            reject(new RedisError('Connection closed'));
+        }
+    }
+
+    command(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                // Replies are matched by order, so a lost one poisons the connection
+                if (this.socket) this.socket.destroy();
+                reject(new RedisError(`Command timeout: ${args[0]}`));
+            }, COMMAND_TIMEOUT);
+
+            this.pending.push({ resolve, reject, timer });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    async send(...args) {
+        await this.connect();
+        return this.command(args);
+    }
+
+    quit() {
+        if (this.socket) this.socket.end();
+    }
+}
+
+module.exports = { RedisClient, RedisError, parseReply, encodeCommand };
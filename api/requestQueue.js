@@ -3,39 +3,202 @@
  * Prevents overload by queuing concurrent requests
  */
 
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const WAIT_SAMPLE_SIZE = 100;
+
+class QueueFullError extends Error {
+    constructor(retryAfter) {
+        super('Server busy: extraction queue is full');
+        this.name = 'QueueFullError';
+        this.code = 'QUEUE_FULL';
+        this.retryAfter = retryAfter;
+    }
+}
+
+class QueueTimeoutError extends Error {
+    constructor(retryAfter) {
+        super('Server busy: timed out waiting in extraction queue');
+        this.name = 'QueueTimeoutError';
+        this.code = 'QUEUE_TIMEOUT';
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RequestAbortedError extends Error {
+    constructor() {
+        super('Request aborted by client');
+        this.name = 'RequestAbortedError';
+        this.code = 'ABORTED';
+    }
+}
+
 class RequestQueue {
-    constructor(maxConcurrent = 2) { // Max 2 parallel extractions
+    constructor(maxConcurrent = 2, maxQueued = 10, waitTimeout = 60000) { // Max 2 parallel extractions
         this.maxConcurrent = maxConcurrent;
+        this.maxQueued = maxQueued;
+        this.waitTimeout = waitTimeout;
         this.running = 0;
         this.queue = [];
+
+        this.processed = 0;
+        this.rejected = 0;
+        this.timedOut = 0;
+        this.aborted = 0;
+        this.waitSamples = [];
+        this.runSamples = [];
     }
 
-    async process(fn) {
-        // Wait if at capacity
-        while (this.running >= this.maxConcurrent) {
-            await new Promise(resolve => setTimeout(resolve, 500));
+    /**
+     * Run `fn` once a slot is free. `waitTimeout` overrides how long it may
+     * wait in line; Infinity waits for as long as it takes (async jobs).
+     */
+    async process(fn, options = {}) {
+        const { signal, id, waitTimeout = this.waitTimeout } = options;
+
+        if (signal && signal.aborted) {
+            throw new RequestAbortedError();
         }
 
-        this.running++;
-        console.log(`[QUEUE] Running: ${this.running}, Queued: ${this.queue.length}`);
+        // Wait in line if at capacity; next() hands over the slot when one frees up
+        if (this.running < this.maxConcurrent && this.queue.length === 0) {
+            this.running++;
+            this.recordWait(0);
+        } else {
+            await this.enqueue(signal, id, waitTimeout);
+        }
 
+        logger.info('QUEUE', `Running: ${this.running}, Queued: ${this.queue.length}`);
+
+        const startedAt = Date.now();
         try {
-            const result = await fn();
+            const result = await fn(signal);
             return result;
         } finally {
             this.running--;
+            this.processed++;
+            this.pushSample(this.runSamples, Date.now() - startedAt);
+            this.next();
         }
     }
 
+    enqueue(signal, id, waitTimeout = this.waitTimeout) {
+        if (this.queue.length >= this.maxQueued) {
+            this.rejected++;
+            logger.info('QUEUE', `Full (${this.queue.length}/${this.maxQueued}), rejecting`);
+            return Promise.reject(new QueueFullError(this.estimateRetryAfter()));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { id, resolve, reject, enqueuedAt: Date.now(), timer: null, signal, onAbort: null };
+
+            if (Number.isFinite(waitTimeout)) {
+                entry.timer = setTimeout(() => {
+                    this.remove(entry);
+                    this.timedOut++;
+                    logger.info('QUEUE', `Wait timeout after ${waitTimeout}ms`);
+                    reject(new QueueTimeoutError(this.estimateRetryAfter()));
+                }, waitTimeout);
+            }
+
+            // Client gave up while waiting: free the spot in line
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(entry);
+                    this.aborted++;
+                    logger.info('QUEUE', 'Waiting request aborted');
+                    reject(new RequestAbortedError());
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.queue.push(entry);
+            logger.info('QUEUE', `Waiting at position ${this.queue.length}`);
+        });
+    }
+
+    next() {
+        if (this.running >= this.maxConcurrent) return;
+
+        const entry = this.queue.shift();
+        if (!entry) return;
+
+        this.settle(entry);
+        this.running++;
+        this.recordWait(Date.now() - entry.enqueuedAt);
+        entry.resolve();
+    }
+
+    remove(entry) {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) this.queue.splice(index, 1);
+        this.settle(entry);
+    }
+
+    settle(entry) {
+        clearTimeout(entry.timer);
+        if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    recordWait(ms) {
+        this.pushSample(this.waitSamples, ms);
+        metrics.queueWait.observe({}, ms / 1000);
+    }
+
+    pushSample(samples, ms) {
+        samples.push(ms);
+        if (samples.length > WAIT_SAMPLE_SIZE) samples.shift();
+    }
+
+    // 1-based place in line for a request queued with an `id`, or null if not waiting
+    getPosition(id) {
+        const index = this.queue.findIndex(entry => entry.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    isFull() {
+        return this.running >= this.maxConcurrent && this.queue.length >= this.maxQueued;
+    }
+
+    // Seconds until a slot is likely free, based on recent run times
+    estimateRetryAfter() {
+        const avgRun = average(this.runSamples) || 15000;
+        const rounds = Math.ceil((this.queue.length + 1) / this.maxConcurrent);
+        return Math.max(1, Math.ceil((avgRun * rounds) / 1000));
+    }
+
     getStats() {
+        const now = Date.now();
+        const oldest = this.queue[0];
+
         return {
             running: this.running,
             queued: this.queue.length,
-            capacity: this.maxConcurrent
+            capacity: this.maxConcurrent,
+            maxQueued: this.maxQueued,
+            waitTimeoutMs: this.waitTimeout,
+            processed: this.processed,
+            rejected: this.rejected,
+            timedOut: this.timedOut,
+            aborted: this.aborted,
+            avgWaitMs: Math.round(average(this.waitSamples)),
+            maxWaitMs: this.waitSamples.length ? Math.max(...this.waitSamples) : 0,
+            oldestWaitingMs: oldest ? now - oldest.enqueuedAt : 0,
+            avgRunMs: Math.round(average(this.runSamples))
         };
     }
 }
 
-const requestQueue = new RequestQueue(2);
+function average(samples) {
+    if (samples.length === 0) return 0;
+    return samples.reduce((sum, v) => sum + v, 0) / samples.length;
+}
+
+const requestQueue = new RequestQueue(
+    parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+    parseInt(process.env.QUEUE_MAX_LENGTH, 10) || 10,
+    parseInt(process.env.QUEUE_WAIT_TIMEOUT, 10) || 60000
+);
 
-module.exports = { requestQueue };
+module.exports = { requestQueue, RequestQueue, QueueFullError, QueueTimeoutError, RequestAbortedError };
@@ -0,0 +1,43 @@
+/**
+ * Response Formatting
+ * Shapes extraction results into the public API payload
+ */
+
+const { proxyUrlForResult, sessionForResult } = require('./proxy');
+const { subtitleUrlFor } = require('./subtitles');
+
+function formatResult(result) {
+    if (!result.success) {
+        return result;
+    }
+
+    const session = sessionForResult(result);
+
+    return {
+        success: true,
+        data: {
+            type: result.type,
+            stream_url: result.stream_url,
+            validated: result.validated === undefined ? null : result.validated,
+            ...(result.warning && { warning: result.warning }),
+            headers: result.headers,
+            proxy_url: proxyUrlForResult(result),
+            subtitles: (result.subtitles || []).map(subtitle => ({ ...subtitle, vtt_url: subtitleUrlFor(session, subtitle) })),
+            variants: result.variants || [],
+            renditions: result.renditions || [],
+            expires_at: result.expires_at || null,
+            rule: result.rule || null,
+            options: result.options || {},
+            ...(result.har && { har: result.har }),
+            ...(result.type === 'dash' && {
+                periods: result.periods || [],
+                duration: result.duration,
+                is_live: result.is_live,
+                protected: result.protected
+            })
+        },
+        all_streams: result.all_streams
+    };
+}
+
+module.exports = { formatResult };
@@ -0,0 +1,97 @@
+/**
+ * Per-Domain Extractor Rules
+ * Loads site-specific rule modules and matches them by hostname
+ *
+ * Each file in RULES_DIR (default ./rules) exports one rule; files
+ * starting with `_` are templates and are skipped. See
+ * rules/_example.js for every supported field.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const RULES_DIR = process.env.RULES_DIR || path.join(__dirname, '..', 'rules');
+
+const PATTERN_FIELDS = ['includePatterns', 'excludePatterns'];
+const FUNCTION_FIELDS = ['priority', 'evaluate'];
+
+function validateRule(rule, file) {
+    if (!rule || typeof rule !== 'object') throw new Error('must export an object');
+    if (!Array.isArray(rule.hosts) || rule.hosts.length === 0) throw new Error('needs a non-empty `hosts` array');
+
+    for (const field of PATTERN_FIELDS) {
+        if (rule[field] && !(Array.isArray(rule[field]) && rule[field].every(p => p instanceof RegExp))) {
+            throw new Error(`\`${field}\` must be an array of RegExp`);
+        }
+    }
+    for (const field of FUNCTION_FIELDS) {
+        if (rule[field] && typeof rule[field] !== 'function') throw new Error(`\`${field}\` must be a function`);
+    }
+
+    return { name: path.basename(file, '.js'), ...rule };
+}
+
+function loadRules(dir = RULES_DIR) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(f => f.endsWith('.js') && !f.startsWith('_'));
+    } catch (e) {
+        return [];
+    }
+
+    const rules = [];
+    for (const file of files) {
+        try {
+            rules.push(validateRule(require(path.join(dir, file)), file));
+        } catch (e) {
+            logger.error('RULES', `Skipping ${file}: ${e.message}`);
+        }
+    }
+
+    if (rules.length > 0) {
+        logger.info('RULES', `Loaded ${rules.length} rules: ${rules.map(r => r.name).join(', ')}`);
+    }
+    return rules;
+}
+
+/**
+ * `example.com` matches the host and its subdomains, `*.example.com`
+ * only subdomains. Returns the pattern length as specificity, or 0.
+ */
+function matchHost(pattern, hostname) {
+    const host = hostname.toLowerCase();
+    const wanted = pattern.toLowerCase();
+
+    if (wanted.startsWith('*.')) {
+        return host.endsWith(wanted.substring(1)) ? wanted.length : 0;
+    }
+    return host === wanted || host.endsWith(`.${wanted}`) ? wanted.length : 0;
+}
+
+const rules = loadRules();
+
+/**
+ * The most specific rule for a page URL, or null.
+ */
+function findRule(targetUrl, ruleList = rules) {
+    let hostname;
+    try {
+        hostname = new URL(targetUrl).hostname;
+    } catch (e) {
+        return null;
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const rule of ruleList) {
+        const score = Math.max(...rule.hosts.map(h => matchHost(h, hostname)));
+        if (score > bestScore) {
+            best = rule;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+module.exports = { findRule, loadRules, matchHost, rules };
@@ -0,0 +1,281 @@
+/**
+ * Subtitle Tracks
+ * Builds normalized subtitle entries from every discovery source, merges
+ * duplicates, and serves them as WebVTT through signed /api/subtitles links
+ */
+
+const { normalizeLanguage, languageFromLabel, languageFromUrl } = require('./languages');
+const { buildSignedUrl, verifyProxyRequest } = require('./proxy');
+const { decodeSubtitle, detectFormat, toWebVtt, formatVtt, shiftCues, parseSegmentPlaylist, mergeVttSegments } = require('./webvtt');
+const { logger } = require('./logger');
+const { guardedFetch } = require('./urlPolicy');
+const { probeSignal, readLimited } = require('./probe');
+
+const SUBTITLE_CONFIG = {
+    FETCH_TIMEOUT: 15000,
+    MAX_SIZE: 10 * 1024 * 1024,
+    MAX_SEGMENTS: 5000,
+    SEGMENT_CONCURRENCY: 4,
+    MAX_OFFSET: 24 * 60 * 60
+};
+
+const FORMAT_EXTENSIONS = ['vtt', 'srt', 'ass', 'ssa'];
+
+function subtitleFormat(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+
+    const extension = (pathname.match(/\.([a-z0-9]+)$/) || [])[1];
+    if (FORMAT_EXTENSIONS.includes(extension)) return extension;
+    if (extension === 'm3u8') return 'hls';
+    return null;
+}
+
+/**
+ * Normalize a track. `language` is whatever the source declared (srclang,
+ * LANGUAGE=, player config); the label and URL are fallbacks.
+ */
+function createSubtitle({ url, language, label, kind, isDefault = false, forced = false, format, source }) {
+    const detected = normalizeLanguage(language) || languageFromLabel(label) || languageFromUrl(url);
+
+    return {
+        url,
+        language: detected ? detected.name : 'Unknown',
+        language_code: detected ? detected.code : null,
+        label: label || null,
+        kind: kind === 'captions' ? 'captions' : 'subtitles',
+        default: Boolean(isDefault),
+        forced: Boolean(forced),
+        format: format || subtitleFormat(url),
+        source
+    };
+}
+
+const subtitleKey = (url) => url.split('#')[0];
+
+/**
+ * Add a track to a Map of captured subtitles. A URL seen before only fills
+ * in what the earlier sighting lacked (a <track> usually knows more than the
+ * network request for the same file). Returns true when the track is new.
+ */
+function mergeSubtitle(subtitles, subtitle) {
+    const key = subtitleKey(subtitle.url);
+    const existing = subtitles.get(key);
+
+    if (!existing) {
+        subtitles.set(key, subtitle);
+        return true;
+    }
+
+    // Declared metadata beats a language guessed from the request URL
+    const declared = existing.source === 'network' && subtitle.source !== 'network';
+    if (subtitle.language_code && (!existing.language_code || declared)) {
+        existing.language = subtitle.language;
+        existing.language_code = subtitle.language_code;
+    }
+    if (!existing.label && subtitle.label) existing.label = subtitle.label;
+    if (!existing.format && subtitle.format) existing.format = subtitle.format;
+    if (subtitle.kind === 'captions') existing.kind = 'captions';
+    existing.default = existing.default || subtitle.default;
+    existing.forced = existing.forced || subtitle.forced;
+    return false;
+}
+
+// Merge tracks into an already assembled subtitle list
+function mergeSubtitleList(list, additions) {
+    const subtitles = new Map(list.map(subtitle => [subtitleKey(subtitle.url), subtitle]));
+    for (const subtitle of additions) mergeSubtitle(subtitles, subtitle);
+    return Array.from(subtitles.values());
+}
+
+// EXT-X-MEDIA TYPE=SUBTITLES renditions; each URL is a WebVTT media playlist
+function subtitlesFromRenditions(renditions) {
+    return renditions
+        .filter(r => r.type === 'SUBTITLES' && r.url)
+        .map(r => createSubtitle({
+            url: r.url,
+            language: r.language,
+            label: r.name,
+            isDefault: r.default,
+            forced: r.forced,
+            format: 'hls',
+            source: 'hls'
+        }));
+}
+
+/**
+ * Signed /api/subtitles link for a track, reusing the session (headers and
+ * expiry) of the result it came from. `lang` only hints the legacy charset.
+ */
+function subtitleUrlFor(session, subtitle) {
+    const link = buildSignedUrl('/api/subtitles', session, subtitle.url);
+    return subtitle.language_code ? `${link}&lang=${encodeURIComponent(subtitle.language_code)}` : link;
+}
+
+// -----------------------------------------------------------------
+// REQUEST HANDLER
+// -----------------------------------------------------------------
+function sendError(res, status, error) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error }, null, 2));
+}
+
+async function fetchSubtitleFile(url, headers, signal, maxSize = SUBTITLE_CONFIG.MAX_SIZE) {
+    const response = await guardedFetch(url, {
+        headers,
+        redirect: 'follow',
+        signal: probeSignal(signal, SUBTITLE_CONFIG.FETCH_TIMEOUT)
+    });
+
+    if (!response.ok) {
+        response.body && response.body.cancel().catch(() => { });
+        throw new Error(`Upstream returned HTTP ${response.status}`);
+    }
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > maxSize) {
+        response.body && response.body.cancel().catch(() => { });
+        throw new Error('Subtitle file too large');
+    }
+
+    const buffer = await readLimited(response, maxSize);
+    if (!buffer) throw new Error('Subtitle file too large');
+
+    return {
+        url: response.url || url,
+        buffer,
+        contentType: response.headers.get('content-type') || ''
+    };
+}
+
+// Download every WebVTT segment of an HLS subtitle playlist, in order.
+// All segments share one MAX_SIZE budget, and the first failure cancels the rest.
+async function fetchSegments(urls, headers, signal, decodeOptions) {
+    const texts = new Array(urls.length);
+    const pending = urls.map((url, index) => ({ url, index }));
+    let remaining = SUBTITLE_CONFIG.MAX_SIZE;
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+
+    const workers = Array.from({ length: Math.min(SUBTITLE_CONFIG.SEGMENT_CONCURRENCY, pending.length) }, async () => {
+        try {
+            while (pending.length > 0 && !controller.signal.aborted) {
+                const { url, index } = pending.shift();
+                const file = await fetchSubtitleFile(url, headers, controller.signal, remaining);
+                remaining -= file.buffer.length;
+                if (remaining < 0) throw new Error('Subtitle segments too large');
+                texts[index] = decodeSubtitle(file.buffer, { ...decodeOptions, contentType: file.contentType }).text;
+            }
+        } catch (e) {
+            controller.abort();
+            throw e;
+        }
+    });
+
+    try {
+        await Promise.all(workers);
+    } finally {
+        signal.removeEventListener('abort', abort);
+    }
+
+    // The player went away between segments
+    controller.signal.throwIfAborted();
+    return texts;
+}
+
+/**
+ * GET /api/subtitles?s=&u=&sig=[&offset=seconds][&charset=][&lang=]
+ * Fetches a captured subtitle with its result's headers and answers WebVTT.
+ */
+async function handleSubtitles(req, res, query) {
+    if (req.method !== 'GET') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const verified = verifyProxyRequest(query);
+    if (verified.error) {
+        sendError(res, 403, verified.error);
+        return;
+    }
+
+    res.removeHeader('Content-Type');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isFinite(offset) || Math.abs(offset) > SUBTITLE_CONFIG.MAX_OFFSET) {
+        sendError(res, 400, `offset must be a number of seconds between -${SUBTITLE_CONFIG.MAX_OFFSET} and ${SUBTITLE_CONFIG.MAX_OFFSET}`);
+        return;
+    }
+
+    const { url, headers } = verified;
+    const decodeOptions = { charset: query.charset, language: query.lang };
+
+    // Stop downloading if the player goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let file;
+    try {
+        file = await fetchSubtitleFile(url, headers, controller.signal);
+    } catch (e) {
+        if (!res.destroyed) sendError(res, e.code === 'URL_BLOCKED' ? 403 : 502, `Subtitle request failed: ${e.message}`);
+        return;
+    }
+
+    const { text, charset } = decodeSubtitle(file.buffer, { ...decodeOptions, contentType: file.contentType });
+    const format = detectFormat(text, file.url);
+    let body;
+
+    if (format === 'hls') {
+        let segments;
+        try {
+            segments = parseSegmentPlaylist(text, file.url);
+            if (segments.length > SUBTITLE_CONFIG.MAX_SEGMENTS) throw new Error('Too many subtitle segments');
+        } catch (e) {
+            sendError(res, 422, e.message);
+            return;
+        }
+
+        let texts;
+        try {
+            texts = await fetchSegments(segments, headers, controller.signal, decodeOptions);
+        } catch (e) {
+            if (!res.destroyed) sendError(res, e.code === 'URL_BLOCKED' ? 403 : 502, `Subtitle segment request failed: ${e.message}`);
+            return;
+        }
+
+        body = formatVtt(shiftCues(mergeVttSegments(texts), offset));
+        logger.info('SUBTITLES', `Flattened ${segments.length} WebVTT segments`);
+    } else {
+        try {
+            body = toWebVtt(text, format, offset);
+        } catch (e) {
+            sendError(res, 422, e.message);
+            return;
+        }
+        logger.info('SUBTITLES', `${format} (${charset}) -> WebVTT`);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/vtt; charset=utf-8',
+        'Cache-Control': 'private, max-age=300'
+    });
+    res.end(body);
+}
+
+module.exports = {
+    createSubtitle,
+    mergeSubtitle,
+    mergeSubtitleList,
+    subtitlesFromRenditions,
+    subtitleFormat,
+    subtitleUrlFor,
+    handleSubtitles
+};
@@ -0,0 +1,107 @@
+/**
+ * Signed URL Expiry Detection
+ * Finds expiry timestamps in CDN-signed stream URLs
+ */
+
+// Query parameters that hold an absolute expiry (epoch seconds or ms)
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'expiration', 'exp', 'e', 'validto', 'valid_to', 'deadline'];
+
+// Parameters whose value is a token that may embed `exp=` or a bare timestamp
+const TOKEN_PARAMS = ['token', 'hdnts', 'hdnea', '__token__', 'auth', 'sig', 'signature', 'policy', 'st'];
+
+// Plausible epoch range, so ids and sizes aren't mistaken for timestamps
+const MIN_EPOCH = Date.UTC(2015, 0, 1);
+const MAX_EPOCH = Date.UTC(2100, 0, 1);
+
+// Bare numbers inside opaque tokens only count if they are near-future
+const TOKEN_LOOKAHEAD = 7 * 24 * 60 * 60 * 1000;
+
+function toEpochMs(value) {
+    if (!/^\d{10}(\d{3})?$/.test(value)) return null;
+
+    const number = Number(value);
+    const ms = value.length === 13 ? number : number * 1000;
+    return ms >= MIN_EPOCH && ms <= MAX_EPOCH ? ms : null;
+}
+
+// AWS SigV4: X-Amz-Date=20240101T000000Z plus X-Amz-Expires=<seconds>
+function amzExpiry(params) {
+    const date = params.get('X-Amz-Date') || params.get('x-amz-date');
+    const expires = params.get('X-Amz-Expires') || params.get('x-amz-expires');
+    if (!date || !expires) return null;
+
+    const match = date.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (!match) return null;
+
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    return Date.UTC(y, mo - 1, d, h, mi, s) + Number(expires) * 1000;
+}
+
+// `exp=` / `expires=` pairs inside tokens (Akamai `hdnts=st=..~exp=..~hmac=..`) or path segments
+function embeddedExpiries(text) {
+    const found = [];
+    for (const match of text.matchAll(/(?:^|[~&;,/:_-])(?:exp|expires?|e)[=:](\d{10}(?:\d{3})?)(?=$|[~&;,/:_-])/gi)) {
+        const ms = toEpochMs(match[1]);
+        if (ms) found.push(ms);
+    }
+    return found;
+}
+
+function tokenTimestamps(token, now) {
+    const found = [];
+    for (const match of token.matchAll(/(?:^|\D)(\d{10}(?:\d{3})?)(?=\D|$)/g)) {
+        const ms = toEpochMs(match[1]);
+        if (ms && ms > now && ms - now <= TOKEN_LOOKAHEAD) found.push(ms);
+    }
+    return found;
+}
+
+/**
+ * Earliest expiry (epoch ms) signalled by a URL, or null if it carries none.
+ */
+function detectUrlExpiry(url, now = Date.now()) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+
+    const candidates = [];
+    const params = parsed.searchParams;
+
+    for (const [key, value] of params.entries()) {
+        const name = key.toLowerCase();
+
+        if (EXPIRY_PARAMS.includes(name)) {
+            const ms = toEpochMs(value);
+            if (ms) candidates.push(ms);
+        } else if (TOKEN_PARAMS.includes(name)) {
+            const embedded = embeddedExpiries(value);
+            candidates.push(...(embedded.length ? embedded : tokenTimestamps(value, now)));
+        }
+    }
+
+    const amz = amzExpiry(params);
+    if (amz) candidates.push(amz);
+
+    // Path tokens such as /exp=1700000000/ or /hdnts=exp=1700000000~hmac=../
+    let pathname = parsed.pathname;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch (e) { }
+    candidates.push(...embeddedExpiries(pathname));
+
+    return candidates.length ? Math.min(...candidates) : null;
+}
+
+/**
+ * Earliest expiry across the chosen stream and every alternative.
+ */
+function getResultExpiry(result, now = Date.now()) {
+    const urls = [result.stream_url, ...(result.all_streams || []).map(s => s.url)].filter(Boolean);
+    const expiries = urls.map(url => detectUrlExpiry(url, now)).filter(Boolean);
+    return expiries.length ? Math.min(...expiries) : null;
+}
+
+module.exports = { detectUrlExpiry, getResultExpiry };
@@ -0,0 +1,175 @@
+/**
+ * Target URL Policy
+ * Keeps extractions and server-side fetches away from internal networks:
+ * http(s) only, public addresses only, plus hostname allow/deny lists
+ *
+ * The allowlist only applies to the page being extracted (players load
+ * from CDNs on other hosts); everything else applies to the page, every
+ * request it makes and every URL the server fetches for a result.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { matchHost } = require('./rules');
+const { logger } = require('./logger');
+
+const hostList = (value) => (value || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+const POLICY_CONFIG = {
+    ALLOWLIST: hostList(process.env.TARGET_ALLOWLIST),
+    DENYLIST: hostList(process.env.TARGET_DENYLIST),
+    ALLOW_PRIVATE: process.env.ALLOW_PRIVATE_TARGETS === 'true', // Local development only
+    DNS_CACHE_TTL: 30000,
+    MAX_REDIRECTS: 5
+};
+
+const ALLOWED_SCHEMES = ['http:', 'https:'];
+
+// Page-internal URLs that never touch the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// CGNAT, multicast and reserved ranges. IPv4-mapped IPv6 is matched too, and
+// the prefixes that embed an IPv4 address are blocked whole: on a NAT64
+// network 64:ff9b::7f00:1 reaches 127.0.0.1, and so can 6to4 (2002::/16)
+// and IPv4-compatible (::/96) addresses.
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 96], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+    ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+class BlockedUrlError extends Error {
+    constructor(reason) {
+        super(`Blocked URL: ${reason}`);
+        this.name = 'BlockedUrlError';
+        this.code = 'URL_BLOCKED';
+        this.reason = reason;
+    }
+}
+
+const isBlockedAddress = (address) => BLOCKED_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Short-lived lookups, so the interception handler doesn't hit DNS per request
+const dnsCache = new Map();
+
+function resolveHost(hostname) {
+    const cached = dnsCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+
+    const addresses = dns.promises.lookup(hostname, { all: true, verbatim: true })
+        .then(results => results.map(r => r.address));
+    dnsCache.set(hostname, { addresses, expiresAt: Date.now() + POLICY_CONFIG.DNS_CACHE_TTL });
+
+    // Don't keep failures around; the next request retries
+    addresses.catch(() => dnsCache.delete(hostname));
+    if (dnsCache.size > 1000) dnsCache.delete(dnsCache.keys().next().value);
+    return addresses;
+}
+
+/**
+ * Why `url` may not be fetched, or null when it may. `target` marks the
+ * page being extracted, which must also pass the allowlist.
+ */
+async function checkUrl(url, { target = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return 'invalid URL';
+    }
+
+    if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+        return `scheme ${parsed.protocol} is not allowed`;
+    }
+
+    // [::1] -> ::1
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (POLICY_CONFIG.DENYLIST.some(pattern => matchHost(pattern, hostname))) {
+        return `host ${hostname} is denylisted`;
+    }
+    if (target && POLICY_CONFIG.ALLOWLIST.length > 0 && !POLICY_CONFIG.ALLOWLIST.some(pattern => matchHost(pattern, hostname))) {
+        return `host ${hostname} is not on the allowlist`;
+    }
+
+    if (POLICY_CONFIG.ALLOW_PRIVATE) return null;
+
+    if (net.isIP(hostname)) {
+        return isBlockedAddress(hostname) ? `${hostname} is a private or reserved address` : null;
+    }
+
+    let addresses;
+    try {
+        addresses = await resolveHost(hostname);
+    } catch (e) {
+        return `host ${hostname} does not resolve`;
+    }
+
+    // One private answer is enough: the browser may pick any of them
+    const blocked = addresses.find(isBlockedAddress);
+    return blocked ? `host ${hostname} resolves to private or reserved address ${blocked}` : null;
+}
+
+// Same check for URLs a page requests; data:, blob: and about: stay local
+async function checkPageRequest(url) {
+    if (LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) return null;
+    return checkUrl(url);
+}
+
+async function assertUrlAllowed(url, options) {
+    const reason = await checkUrl(url, options);
+    if (reason) throw new BlockedUrlError(reason);
+}
+
+/**
+ * fetch() that checks the policy before the request and before following
+ * each redirect, so a public URL can't bounce the server to an internal one.
+ */
+async function guardedFetch(url, options = {}) {
+    if (options.redirect && options.redirect !== 'follow') {
+        await assertUrlAllowed(url);
+        return fetch(url, options);
+    }
+
+    let current = url;
+    let request = { ...options, redirect: 'manual' };
+
+    for (let hop = 0; hop <= POLICY_CONFIG.MAX_REDIRECTS; hop++) {
+        await assertUrlAllowed(current);
+        const response = await fetch(current, request);
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) return response;
+
+        response.body && response.body.cancel().catch(() => { });
+        current = new URL(location, current).href;
+
+        // Like browsers: 307/308 repeat the request, the rest turn into a GET
+        if (![307, 308].includes(response.status) && request.method && !['GET', 'HEAD'].includes(request.method)) {
+            const { body, ...rest } = request;
+            request = { ...rest, method: 'GET' };
+        }
+    }
+
+    throw new Error(`Too many redirects (max ${POLICY_CONFIG.MAX_REDIRECTS})`);
+}
+
+if (POLICY_CONFIG.ALLOW_PRIVATE) {
+    logger.warn('POLICY', 'ALLOW_PRIVATE_TARGETS is on: private and loopback addresses can be extracted');
+}
+
+module.exports = {
+    checkUrl,
+    checkPageRequest,
+    assertUrlAllowed,
+    guardedFetch,
+    BlockedUrlError,
+    LOCAL_SCHEMES,
+    POLICY_CONFIG
+};
@@ -0,0 +1,416 @@
+/**
+ * WebVTT Conversion
+ * Decodes subtitle files in legacy charsets and turns SRT, ASS/SSA and
+ * segmented HLS WebVTT into a single WebVTT document
+ */
+
+// Legacy codepage to try when a file is not valid UTF-8, by language
+const LEGACY_CHARSETS = {
+    'ar': 'windows-1256',
+    'fa': 'windows-1256',
+    'ru': 'windows-1251',
+    'uk': 'windows-1251',
+    'bg': 'windows-1251',
+    'sr': 'windows-1251',
+    'mk': 'windows-1251',
+    'el': 'windows-1253',
+    'tr': 'windows-1254',
+    'he': 'windows-1255',
+    'pl': 'windows-1250',
+    'cs': 'windows-1250',
+    'sk': 'windows-1250',
+    'hu': 'windows-1250',
+    'ro': 'windows-1250',
+    'hr': 'windows-1250',
+    'sl': 'windows-1250',
+    'vi': 'windows-1258',
+    'th': 'windows-874',
+    'ja': 'shift_jis',
+    'ko': 'euc-kr',
+    'zh': 'gb18030',
+    'zh-Hant': 'big5',
+    'zh-TW': 'big5',
+    'zh-HK': 'big5'
+};
+
+const DEFAULT_LEGACY_CHARSET = 'windows-1252';
+
+// -----------------------------------------------------------------
+// CHARSET DETECTION
+// -----------------------------------------------------------------
+function decodeWith(buffer, charset, fatal = false) {
+    try {
+        return new TextDecoder(charset, { fatal }).decode(buffer);
+    } catch (e) {
+        return null;
+    }
+}
+
+function legacyCharsetFor(language) {
+    if (!language) return DEFAULT_LEGACY_CHARSET;
+    const [primary, second] = language.split('-');
+    return LEGACY_CHARSETS[`${primary}-${second}`] || LEGACY_CHARSETS[primary] || DEFAULT_LEGACY_CHARSET;
+}
+
+// UTF-16 without a BOM still shows up as every other byte being zero
+function guessUtf16(buffer) {
+    const sample = buffer.subarray(0, 512);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+    }
+    const half = sample.length / 2;
+    if (oddZeros > half * 0.4 && evenZeros < half * 0.05) return 'utf-16le';
+    if (evenZeros > half * 0.4 && oddZeros < half * 0.05) return 'utf-16be';
+    return null;
+}
+
+/**
+ * Decode a subtitle file. Order: explicit charset, BOM, the Content-Type
+ * charset, BOM-less UTF-16, strict UTF-8, then the legacy codepage usual
+ * for the track's language. Returns { text, charset }.
+ */
+function decodeSubtitle(buffer, { charset, contentType = '', language } = {}) {
+    if (charset) {
+        const text = decodeWith(buffer, charset);
+        if (text !== null) return { text, charset };
+    }
+
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: decodeWith(buffer.subarray(3), 'utf-8'), charset: 'utf-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: decodeWith(buffer.subarray(2), 'utf-16le'), charset: 'utf-16le' };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { text: decodeWith(buffer.subarray(2), 'utf-16be'), charset: 'utf-16be' };
+    }
+
+    // Servers love to claim UTF-8 for cp1252 files, so a declared UTF-8 must still validate
+    const declared = (contentType.match(/charset=["']?([^"';\s]+)/i) || [])[1];
+    if (declared && !/^utf-?8$/i.test(declared)) {
+        const text = decodeWith(buffer, declared, true);
+        if (text !== null) return { text, charset: declared.toLowerCase() };
+    }
+
+    // Before UTF-8: mostly-ASCII UTF-16 is also valid UTF-8, full of NULs
+    const utf16 = guessUtf16(buffer);
+    if (utf16) return { text: decodeWith(buffer, utf16), charset: utf16 };
+
+    const utf8 = decodeWith(buffer, 'utf-8', true);
+    if (utf8 !== null) return { text: utf8, charset: 'utf-8' };
+
+    const legacy = legacyCharsetFor(language);
+    return { text: decodeWith(buffer, legacy), charset: legacy };
+}
+
+// -----------------------------------------------------------------
+// TIMESTAMPS AND CUES
+// -----------------------------------------------------------------
+const TIMESTAMP = '(?:(\\d+):)?(\\d{1,2}):(\\d{1,2})[.,:](\\d{1,3})';
+const TIMING_PATTERN = new RegExp(`^\\s*${TIMESTAMP}\\s*-->\\s*${TIMESTAMP}(.*)$`);
+
+function toSeconds(hours, minutes, seconds, fraction) {
+    // "1:02:03.5" means 500ms, "1:02:03.05" 50ms: pad on the right
+    const ms = Number((fraction || '0').padEnd(3, '0').substring(0, 3));
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + ms / 1000;
+}
+
+function formatTimestamp(totalSeconds) {
+    const totalMs = Math.max(0, Math.round(totalSeconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const seconds = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms, 3)}`;
+}
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Shift cues by `offset` seconds. Cues that end up entirely before zero are
+ * dropped, ones that straddle it are clipped.
+ */
+function shiftCues(cues, offset) {
+    if (!offset) return cues;
+    return cues
+        .map(cue => ({ ...cue, start: Math.max(0, cue.start + offset), end: cue.end + offset }))
+        .filter(cue => cue.end > 0 && cue.end > cue.start);
+}
+
+function formatVtt(cues) {
+    const blocks = cues.map(cue => {
+        const settings = cue.settings ? ` ${cue.settings}` : '';
+        return `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${settings}\n${cue.text}`;
+    });
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+const splitBlocks = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+// -----------------------------------------------------------------
+// WEBVTT
+// -----------------------------------------------------------------
+
+/**
+ * Cues of a WebVTT document plus its X-TIMESTAMP-MAP (HLS segments), as
+ * { cues, timestampMap: { mpegts, local } | null }. STYLE, REGION and NOTE
+ * blocks are dropped.
+ */
+function parseVtt(text) {
+    const blocks = splitBlocks(text);
+    let timestampMap = null;
+
+    const header = blocks[0] || '';
+    const map = header.match(/X-TIMESTAMP-MAP=([^\n]+)/);
+    if (map) {
+        const mpegts = (map[1].match(/MPEGTS:(\d+)/) || [])[1];
+        const local = map[1].match(new RegExp(`LOCAL:${TIMESTAMP}`));
+        timestampMap = {
+            mpegts: mpegts ? Number(mpegts) : 0,
+            local: local ? toSeconds(local[1], local[2], local[3], local[4]) : 0
+        };
+    }
+
+    const cues = [];
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex === -1 || timingIndex > 1) continue;
+
+        const match = lines[timingIndex].match(TIMING_PATTERN);
+        if (!match) continue;
+
+        const text = lines.slice(timingIndex + 1).join('\n').trim();
+        if (!text) continue;
+
+        cues.push({
+            start: toSeconds(match[1], match[2], match[3], match[4]),
+            end: toSeconds(match[5], match[6], match[7], match[8]),
+            settings: match[9].trim(),
+            text
+        });
+    }
+
+    return { cues, timestampMap };
+}
+
+// -----------------------------------------------------------------
+// SRT
+// -----------------------------------------------------------------
+
+// {\an8} and friends from ASS leak into plenty of SRT files
+const TOP_ALIGNMENTS = ['7', '8', '9'];
+
+function srtText(raw) {
+    let settings = '';
+    const alignment = raw.match(/\{\\an(\d)\}/);
+    if (alignment && TOP_ALIGNMENTS.includes(alignment[1])) settings = 'line:0';
+
+    const text = escapeText(raw.replace(/\{\\[^}]*\}/g, ''))
+        // Keep the tags WebVTT understands, drop the rest (<font>, ...)
+        .replace(/&lt;(\/?)([ibu])&gt;/gi, (_, slash, tag) => `<${slash}${tag.toLowerCase()}>`)
+        .replace(/&lt;\/?[a-z][^&]*?&gt;/gi, '')
+        .trim();
+
+    return { text, settings };
+}
+
+function srtToCues(text) {
+    const cues = [];
+    for (const block of splitBlocks(text)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const match = lines[timingIndex].match(TIMING_PATTERN);
+        if (!match) continue;
+
+        const { text: cueText, settings } = srtText(lines.slice(timingIndex + 1).join('\n'));
+        if (!cueText) continue;
+
+        cues.push({
+            start: toSeconds(match[1], match[2], match[3], match[4]),
+            end: toSeconds(match[5], match[6], match[7], match[8]),
+            settings,
+            text: cueText
+        });
+    }
+    return cues;
+}
+
+// -----------------------------------------------------------------
+// ASS / SSA
+// -----------------------------------------------------------------
+const ASS_TIME = /^(\d+):(\d{1,2}):(\d{1,2})[.:](\d{1,3})$/;
+
+function assTime(value) {
+    const match = value.trim().match(ASS_TIME);
+    if (!match) return null;
+    // ASS counts centiseconds: "0:00:01.50" is 1.5s
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(`0.${match[4]}`);
+}
+
+function assText(raw) {
+    let settings = '';
+    // \an7-9 (ASS) or \a5-7 (SSA) put the line at the top
+    const alignment = raw.match(/\\an?(\d+)/);
+    if (alignment) {
+        const top = alignment[0].startsWith('\\an') ? TOP_ALIGNMENTS.includes(alignment[1]) : ['5', '6', '7'].includes(alignment[1]);
+        if (top) settings = 'line:0';
+    }
+
+    const parts = [];
+    let italic = false;
+    let bold = false;
+    let underline = false;
+
+    for (const piece of raw.split(/(\{[^}]*\})/)) {
+        if (piece.startsWith('{')) {
+            const setStyle = (tag, current) => {
+                const match = piece.match(new RegExp(`\\\\${tag}(\\d+)`));
+                if (!match) return current;
+                const on = match[1] !== '0';
+                if (on !== current) parts.push(on ? `<${tag}>` : `</${tag}>`);
+                return on;
+            };
+            italic = setStyle('i', italic);
+            bold = setStyle('b', bold);
+            underline = setStyle('u', underline);
+            continue;
+        }
+        parts.push(escapeText(piece.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' ')));
+    }
+
+    if (underline) parts.push('</u>');
+    if (bold) parts.push('</b>');
+    if (italic) parts.push('</i>');
+
+    return { text: parts.join('').trim(), settings };
+}
+
+function assToCues(text) {
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const cues = [];
+    let inEvents = false;
+    let format = null;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[')) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (trimmed.toLowerCase().startsWith('format:')) {
+            format = trimmed.substring(7).split(',').map(f => f.trim().toLowerCase());
+            continue;
+        }
+        if (!trimmed.toLowerCase().startsWith('dialogue:') || !format) continue;
+
+        // Text is the last field and may itself contain commas
+        const values = trimmed.substring(9).split(',');
+        const fields = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+        const get = (name) => (fields[format.indexOf(name)] || '').trim();
+
+        const start = assTime(get('start'));
+        const end = assTime(get('end'));
+        const raw = fields[format.indexOf('text')] || '';
+
+        // Vector drawings (\p1) are not text
+        if (start === null || end === null || /\\p[1-9]/.test(raw)) continue;
+
+        const { text: cueText, settings } = assText(raw);
+        if (cueText) cues.push({ start, end, settings, text: cueText });
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// -----------------------------------------------------------------
+// ENTRY POINTS
+// -----------------------------------------------------------------
+
+/**
+ * Subtitle format from the file's contents, falling back to its URL.
+ */
+function detectFormat(text, url = '') {
+    const head = text.replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('WEBVTT')) return 'vtt';
+    if (head.startsWith('#EXTM3U')) return 'hls';
+    if (/^\[Script Info\]/i.test(head) || /^\[Events\]/im.test(head)) return /ScriptType:\s*v4\.00\+/i.test(head) ? 'ass' : 'ssa';
+    if (/^\d+\s*\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head.replace(/\r\n?/g, '\n'))) return 'srt';
+
+    const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    return extension ? extension.toLowerCase() : null;
+}
+
+/**
+ * Convert a decoded subtitle file to WebVTT, shifted by `offset` seconds.
+ */
+function toWebVtt(text, format, offset = 0) {
+    let cues;
+    if (format === 'vtt') cues = parseVtt(text).cues;
+    else if (format === 'srt') cues = srtToCues(text);
+    else if (format === 'ass' || format === 'ssa') cues = assToCues(text);
+    else throw new Error(`Unsupported subtitle format: ${format || 'unknown'}`);
+
+    return formatVtt(shiftCues(cues, offset));
+}
+
+/**
+ * Segment URLs of an HLS media playlist.
+ */
+function parseSegmentPlaylist(text, baseUrl) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+    if (lines.some(l => l.startsWith('#EXT-X-STREAM-INF'))) {
+        throw new Error('Expected a subtitle media playlist, got a master playlist');
+    }
+    if (lines.some(l => l.startsWith('#EXT-X-MAP'))) {
+        throw new Error('fMP4 (WVTT) subtitle segments are not supported');
+    }
+    return lines.filter(l => l && !l.startsWith('#')).map(l => new URL(l, baseUrl).href);
+}
+
+/**
+ * Join the WebVTT segments of an HLS subtitle playlist into one cue list.
+ * Segment cue times are brought onto a shared timeline with each
+ * segment's X-TIMESTAMP-MAP, relative to the first segment's mapping, and
+ * cues repeated across segment boundaries are kept once.
+ */
+function mergeVttSegments(segmentTexts) {
+    const seen = new Set();
+    const cues = [];
+    let base = null;
+
+    for (const text of segmentTexts) {
+        const { cues: segmentCues, timestampMap } = parseVtt(text);
+        const map = timestampMap || { mpegts: base ? base.mpegts : 0, local: 0 };
+        if (!base) base = map;
+
+        const shift = (map.mpegts - base.mpegts) / 90000 - (map.local - base.local);
+        for (const cue of segmentCues) {
+            const placed = { ...cue, start: cue.start + shift, end: cue.end + shift };
+            const key = `${placed.start.toFixed(3)}|${placed.end.toFixed(3)}|${placed.text}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            cues.push(placed);
+        }
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    decodeSubtitle,
+    detectFormat,
+    toWebVtt,
+    parseVtt,
+    formatVtt,
+    shiftCues,
+    parseSegmentPlaylist,
+    mergeVttSegments
+};
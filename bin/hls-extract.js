@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * hls-extract CLI
+ * Extracts a page locally with Puppeteer, or through a running server
+ * with --server, and prints the result as JSON or a player format
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: hls-extract <url> [options]
+
+Options:
+  -f, --format <name>     json (default), m3u, strm, ffmpeg, mpv or ytdlp
+  -t, --timeout <ms>      Extraction timeout
+      --type <types>      Only these stream types: hls, dash, mp4 (comma-separated)
+      --no-subtitles      Skip subtitle collection
+  -s, --server <url>      Use a running server instead of a local browser
+                          (default: $HLS_EXTRACTOR_SERVER)
+  -k, --key <key>         API key for --server (default: $HLS_EXTRACTOR_API_KEY)
+      --record-har <file> Record the page's requests and responses to a HAR file
+      --replay-har <file> Answer the page's requests from a HAR file, offline
+  -v, --verbose           Log extraction progress to stderr
+  -h, --help              Show this help
+
+Exit status: 0 streams found, 1 no streams found, 2 usage or request error`;
+
+const FORMATS = ['json', 'm3u', 'strm', 'ffmpeg', 'mpv', 'ytdlp'];
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'json' },
+            timeout: { type: 'string', short: 't' },
+            type: { type: 'string' },
+            'no-subtitles': { type: 'boolean', default: false },
+            server: { type: 'string', short: 's', default: process.env.HLS_EXTRACTOR_SERVER },
+            key: { type: 'string', short: 'k', default: process.env.HLS_EXTRACTOR_API_KEY },
+            'record-har': { type: 'string' },
+            'replay-har': { type: 'string' },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (!values.help && positionals.length !== 1) throw new Error('Expected exactly one page URL');
+    if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+
+    const options = {};
+    if (values.timeout !== undefined) options.timeout = values.timeout;
+    if (values.type !== undefined) options.type = values.type;
+    if (values['no-subtitles']) options.subtitles = false;
+
+    // Local files; a server reads and writes HARs in its own HAR_DIR
+    const harFiles = [values['record-har'], values['replay-har']].filter(Boolean).map(file => path.resolve(file));
+    if (harFiles.length > 0 && values.server) throw new Error('--record-har and --replay-har only work without --server');
+    if (new Set(harFiles.map(file => path.dirname(file))).size > 1) throw new Error('--record-har and --replay-har must be in the same directory');
+    if (values['record-har']) options.record_har = path.basename(values['record-har']);
+    if (values['replay-har']) options.replay_har = path.basename(values['replay-har']);
+
+    return { ...values, url: positionals[0], options, harDir: harFiles.length > 0 ? path.dirname(harFiles[0]) : undefined };
+}
+
+async function runRemote(args) {
+    const { ExtractorClient, ExtractorClientError } = require('../api/client');
+    const client = new ExtractorClient({ server: args.server, apiKey: args.key });
+
+    if (args.format === 'json') {
+        const result = await client.extract(args.url, args.options);
+        return { success: result.success, output: JSON.stringify(result, null, 2) + '\n', error: result.error };
+    }
+
+    try {
+        return { success: true, output: await client.extractFormat(args.url, args.format, args.options) };
+    } catch (e) {
+        if (e instanceof ExtractorClientError && e.code === 'EXTRACTION_FAILED') return { success: false, error: e.message };
+        throw e;
+    }
+}
+
+async function runLocal(args) {
+    const { extractLocal, shutdownLocal } = require('../api/client');
+
+    try {
+        const result = await extractLocal(args.url, args.options, { harDir: args.harDir });
+
+        const har = result.success ? result.data.har : result.har;
+        if (har) process.stderr.write(`hls-extract: HAR written to ${path.join(args.harDir, har)}\n`);
+
+        if (!result.success) return { success: false, output: args.format === 'json' ? JSON.stringify(result, null, 2) + '\n' : '', error: result.error };
+        if (args.format === 'json') return { success: true, output: JSON.stringify(result, null, 2) + '\n' };
+
+        // No server behind the signed subtitle links here, so formats link the original files
+        const { renderFormat } = require('../api/formats');
+        return { success: true, output: renderFormat(args.format, result.data, { title: args.url }).body };
+    } finally {
+        await shutdownLocal();
+    }
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseCommandLine(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`hls-extract: ${e.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    // Keep stdout for the result: the extractor's log lines go to stderr, or nowhere
+    const log = console.error.bind(console);
+    console.log = args.verbose ? log : () => { };
+    console.error = args.verbose ? log : () => { };
+
+    try {
+        const { success, output, error } = args.server ? await runRemote(args) : await runLocal(args);
+        if (output) process.stdout.write(output);
+        if (!success) process.stderr.write(`hls-extract: ${error || 'No streams found'}\n`);
+        return success ? 0 : 1;
+    } catch (e) {
+        process.stderr.write(`hls-extract: ${e.message}\n`);
+        return 2;
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+    // Let piped stdout drain, but don't let a leftover handle (a Redis cache socket) hold the CLI open
+    setTimeout(() => process.exit(code), 1000).unref();
+});
@@ -0,0 +1,6 @@
+/**
+ * HLS Stream Extractor - Library Entry
+ * `require('hls-stream-extractor')` for the client; `node server.js` runs the API
+ */
+
+module.exports = require('./api/client');
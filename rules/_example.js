@@ -0,0 +1,45 @@
+/**
+ * Example extractor rule (template - files starting with `_` are not loaded)
+ *
+ * Copy to rules/<site>.js and keep only the fields you need. Anything
+ * left out falls back to the global defaults in api/extract.js.
+ */
+
+module.exports = {
+    // Shown as `rule` in the API response (defaults to the file name)
+    name: 'example',
+
+    // `example.com` also matches subdomains; `*.example.com` only subdomains
+    hosts: ['example.com'],
+
+    // Replace the global PLAY_SELECTORS for this site
+    playSelectors: ['#player .start-button', '.vjs-big-play-button'],
+
+    // Number of play-click rounds (default CONFIG.MAX_CLICK_ATTEMPTS; 0 only reads the page)
+    maxClickAttempts: 3,
+
+    // Wait for these after navigation, before clicking
+    waitForSelector: '#player',
+    waitForResponse: /\/api\/source\//,
+    waitTimeout: 8000,
+
+    // Stream URL filters: include replaces STREAM_PATTERNS, exclude drops matches
+    includePatterns: [/\.m3u8(\?|$)/i, /\/api\/source\//],
+    excludePatterns: [/\/ads?\//i, /preroll/i],
+
+    // Extra domains to block on top of BLOCKED_DOMAINS
+    blockedDomains: ['ads.example-cdn.com'],
+
+    // Adjust the score computed by getStreamPriority
+    priority: (url, score) => (url.includes('/hd/') ? score + 5 : score),
+
+    // Merged into the headers returned with every stream
+    headers: { 'X-Requested-With': 'XMLHttpRequest' },
+
+    // Pull streams straight out of the page; if this returns any, the
+    // click loop is skipped. Each entry: { url, type?, headers? }
+    evaluate: async ({ page }) => {
+        const src = await page.evaluate(() => window.playerConfig && window.playerConfig.source);
+        return src ? [{ url: src }] : [];
+    }
+};
@@ -5,12 +5,132 @@
 
 const http = require('http');
 const url = require('url');
-const { extractStreams, pick, wait, USER_AGENTS, VIEWPORTS, CONFIG } = require('./api/extract');
+const { runExtraction } = require('./api/extract');
 const { requestQueue } = require('./api/requestQueue');
+const { browserPool } = require('./api/browserPool');
+const { jobManager } = require('./api/jobs');
+const { formatResult } = require('./api/response');
+const { extractBatch, BATCH_MAX_SIZE } = require('./api/batch');
+const { handleProxy } = require('./api/proxy');
+const { handleSubtitles } = require('./api/subtitles');
+const { parseExtractOptions } = require('./api/options');
+const { keyStore, ALLOW_QUERY_KEY, QUERY_KEY_ENDPOINTS } = require('./api/auth');
+const { checkUrl } = require('./api/urlPolicy');
+const { renderFormat, isFormat, FORMATS } = require('./api/formats');
+const { logger, createRequestId, runWithRequestId } = require('./api/logger');
+const { renderMetrics } = require('./api/metrics');
 
 const PORT = process.env.PORT || 3000;
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const MAX_BODY_SIZE = 64 * 1024;
 
-const server = http.createServer(async (req, res) => {
+/**
+ * Check the caller's API key may use `endpoint` and charge `cost` requests
+ * to its rate limit and quota. Sends the 401/403/429 itself and returns
+ * null on failure, the key's client otherwise.
+ */
+function checkApiKey(req, res, query, endpoint, cost = 1) {
+    const { client, status, error } = keyStore.authenticate(req, query, endpoint);
+
+    if (!client) {
+        res.writeHead(status);
+        res.end(JSON.stringify({
+            success: false,
+            error,
+            ...(status === 401 && {
+                usage: ALLOW_QUERY_KEY || QUERY_KEY_ENDPOINTS.includes(endpoint)
+                    ? 'Add ?key=YOUR_API_KEY or header X-API-Key: YOUR_API_KEY'
+                    : 'Add header X-API-Key: YOUR_API_KEY'
+            })
+        }, null, 2));
+        return null;
+    }
+
+    return chargeRequests(res, client, endpoint, cost) ? client : null;
+}
+
+// Spend requests from a key's limits, answering 429 when it has none left
+function chargeRequests(res, client, endpoint, cost) {
+    if (cost === 0) return true;
+
+    const limit = keyStore.consume(client, endpoint, cost);
+    for (const [name, value] of Object.entries(limit.headers)) {
+        res.setHeader(name, value);
+    }
+    if (limit.allowed) return true;
+
+    logger.info('AUTH', `${client.name}: ${limit.error}`, { key: client.name, endpoint });
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    res.writeHead(429);
+    res.end(JSON.stringify({
+        success: false,
+        error: limit.error,
+        retry_after: limit.retryAfter
+    }, null, 2));
+    return false;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendBadRequest(res, error, usage) {
+    res.writeHead(400);
+    res.end(JSON.stringify({ success: false, error, ...(usage && { usage }) }, null, 2));
+}
+
+// Refuse private, loopback and off-list targets before they reach the queue;
+// sends the 403 itself and returns false when the URL is blocked. HAR replays
+// skip it: their pages are answered from the file, not the network.
+async function checkTargetPolicy(res, targetUrl, options = { target: true }) {
+    const reason = await checkUrl(targetUrl, options);
+    if (!reason) return true;
+
+    logger.info('POLICY', `Blocked ${targetUrl.substring(0, 100)}: ${reason}`, { url: targetUrl, reason });
+    res.writeHead(403);
+    res.end(JSON.stringify({ success: false, error: `Blocked URL: ${reason}` }, null, 2));
+    return false;
+}
+
+// Absolute base for links handed to external players
+function requestBaseUrl(req) {
+    if (PUBLIC_URL) return PUBLIC_URL;
+    const protocol = (req.headers['x-forwarded-proto'] || '').split(',')[0].trim() || 'http';
+    return `${protocol}://${req.headers.host || `localhost:${PORT}`}`;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+async function handleRequest(req, res) {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
     const query = parsedUrl.query;
@@ -18,7 +138,12 @@ const server = http.createServer(async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Range, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', [
+        'X-Request-Id', 'Retry-After',
+        'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+        'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'
+    ].join(', '));
     res.setHeader('Content-Type', 'application/json');
 
     if (req.method === 'OPTIONS') {
@@ -37,12 +162,49 @@ const server = http.createServer(async (req, res) => {
             description: 'Generic M3U8/HLS stream extraction using Puppeteer',
             endpoints: {
                 extract: {
-                    method: 'GET',
+                    method: 'GET, POST',
                     path: '/api/extract',
+                    params: {
+                        url: 'Target page URL (required)',
+                        timeout: 'Extraction timeout in ms (optional, default: 50000)',
+                        detection_window: 'How long to keep clicking for streams, in ms (optional)',
+                        click_attempts: 'Play-button click rounds (optional)',
+                        type: 'Only return these stream types: hls, dash, mp4 (optional, comma-separated)',
+                        wait_for_master: 'Keep looking until a master playlist shows up (optional, default: true)',
+                        subtitles: 'Collect subtitles (optional, default: true)',
+                        user_agent: 'Browser user agent (optional, default: random)',
+                        viewport: 'Browser viewport as WIDTHxHEIGHT (optional, default: random)',
+                        record_har: 'Record the page to a HAR file in HAR_DIR: true or a file name (optional)',
+                        replay_har: 'Answer the page from this HAR file in HAR_DIR instead of the network (optional)',
+                        format: 'json (default), m3u, strm, ffmpeg, mpv or ytdlp'
+                    },
+                    body: 'POST {"url": "...", "options": {...}, "format": "..."} with the same option names',
+                    example: '/api/extract?url=https://example.com/video-page&type=hls&timeout=30000'
+                },
+                events: {
+                    method: 'GET',
+                    path: '/api/extract/events',
                     params: {
                         url: 'Target page URL (required)'
                     },
-                    example: '/api/extract?url=https://example.com/video-page'
+                    description: 'Server-Sent Events: navigation, stream, subtitle, click and result events as they happen'
+                },
+                batch: {
+                    method: 'POST',
+                    path: '/api/extract/batch',
+                    body: {
+                        urls: `Array of target page URLs (max ${BATCH_MAX_SIZE})`
+                    }
+                },
+                jobs: {
+                    method: 'POST',
+                    path: '/api/jobs',
+                    body: {
+                        url: 'Target page URL (required)',
+                        options: 'Extraction options (optional)',
+                        callback_url: 'URL to POST the finished job to (optional)'
+                    },
+                    poll: 'GET /api/jobs/:id'
                 },
                 health: {
                     method: 'GET',
@@ -53,6 +215,17 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // Signed links only, so no API key: players can't send one
+    if (pathname === '/api/proxy') {
+        await handleProxy(req, res, query);
+        return;
+    }
+
+    if (pathname === '/api/subtitles') {
+        await handleSubtitles(req, res, query);
+        return;
+    }
+
     // Stats endpoint
     if (pathname === '/api/stats' || pathname === '/stats') {
         const { resultCache } = require('./api/cache');
@@ -62,10 +235,11 @@ const server = http.createServer(async (req, res) => {
         res.end(JSON.stringify({
             status: 'ok',
             queue: queueStats,
-            cache: {
-                size: resultCache.size(),
-                ttl: '30 minutes'
-            },
+            jobs: jobManager.getStats(),
+            // Key names and usage only for the operator
+            ...(keyStore.canViewKeyStats(req, query) && { keys: keyStore.getStats() }),
+            browsers: browserPool.getStats(),
+            cache: await resultCache.getStats(),
             memory: {
                 heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
                 heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB'
@@ -75,6 +249,13 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // Prometheus scrape target
+    if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(await renderMetrics());
+        return;
+    }
+
     if (pathname === '/api/health' || pathname === '/health') {
         res.writeHead(200);
         res.end(JSON.stringify({
@@ -87,90 +268,384 @@ const server = http.createServer(async (req, res) => {
     }
 
     if (pathname === '/api/extract' || pathname === '/extract') {
-        const targetUrl = query.url;
-        const apiKey = query.key || req.headers['x-api-key'];
+        if (!checkApiKey(req, res, query, 'extract')) return;
+
+        // Options come from the query string, or from `options` in a JSON POST body
+        let targetUrl = query.url;
+        let rawOptions = query;
+        let format = query.format;
+        if (req.method === 'POST') {
+            let body;
+            try {
+                body = await readJsonBody(req);
+            } catch (e) {
+                sendBadRequest(res, e.message);
+                return;
+            }
+
+            targetUrl = body.url;
+            rawOptions = body.options || {};
+            format = body.format;
+            if (typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+                sendBadRequest(res, 'options must be an object');
+                return;
+            }
+        }
 
-        // Check API key if configured
-        if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
-            res.writeHead(401);
+        if (!targetUrl) {
+            sendBadRequest(res, 'Missing url parameter', '/api/extract?url=<target_url>');
+            return;
+        }
+
+        if (!isHttpUrl(targetUrl)) {
+            sendBadRequest(res, 'Invalid URL');
+            return;
+        }
+
+        const { options, error: optionsError } = parseExtractOptions(rawOptions);
+        if (optionsError) {
+            sendBadRequest(res, optionsError);
+            return;
+        }
+
+        // Output only, so it stays out of the extraction options and the cache key
+        if (format !== undefined && format !== 'json' && !isFormat(format)) {
+            sendBadRequest(res, `format must be one of json, ${Object.keys(FORMATS).join(', ')}`);
+            return;
+        }
+
+        if (!options.replayHar && !await checkTargetPolicy(res, targetUrl)) return;
+
+        logger.info('REQUEST', targetUrl, { url: targetUrl, options });
+
+        // Abort queued or running work if the client disconnects before we answer
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        // Queue extraction to prevent overload
+        let result;
+        try {
+            result = await requestQueue.process(
+                (signal) => runExtraction(targetUrl, { ...options, signal }),
+                { signal: controller.signal }
+            );
+        } catch (error) {
+            if (error.code === 'ABORTED') {
+                logger.info('REQUEST', 'Client disconnected while queued');
+                return;
+            }
+
+            // Queue full or waited too long: tell the client when to come back
+            if (error.code === 'QUEUE_FULL' || error.code === 'QUEUE_TIMEOUT') {
+                res.setHeader('Retry-After', String(error.retryAfter));
+                res.writeHead(503);
+                res.end(JSON.stringify({
+                    success: false,
+                    error: error.message,
+                    retry_after: error.retryAfter
+                }, null, 2));
+                return;
+            }
+
+            logger.error('ERROR', error.message);
+            res.writeHead(500);
             res.end(JSON.stringify({
                 success: false,
-                error: 'Unauthorized: Invalid or missing API key',
-                usage: 'Add ?key=YOUR_API_KEY or header X-API-Key: YOUR_API_KEY'
+                error: error.message
             }, null, 2));
             return;
         }
 
-        if (!targetUrl) {
+        // Force garbage collection after extraction
+        if (global.gc) {
+            global.gc();
+            logger.info('GC', 'Triggered garbage collection');
+        }
+
+        // Log memory usage
+        const memUsage = process.memoryUsage();
+        logger.info('MEMORY', `Heap: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB / ${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`);
+
+        if (result.aborted) {
+            logger.info('REQUEST', 'Client disconnected, extraction cancelled');
+            return;
+        }
+
+        const payload = formatResult(result);
+
+        // Failures stay JSON whatever the format, so callers can still read the error
+        if (result.success && format && format !== 'json') {
+            const { contentType, body } = renderFormat(format, payload.data, { title: targetUrl, baseUrl: requestBaseUrl(req) });
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(body);
+            return;
+        }
+
+        res.writeHead(result.success ? 200 : 404);
+        res.end(JSON.stringify(payload, null, 2));
+        return;
+    }
+
+    if (pathname === '/api/extract/events') {
+        const targetUrl = query.url;
+
+        if (!checkApiKey(req, res, query, 'events')) return;
+
+        if (!targetUrl || !isHttpUrl(targetUrl)) {
+            sendBadRequest(res, targetUrl ? 'Invalid URL' : 'Missing url parameter', '/api/extract/events?url=<target_url>');
+            return;
+        }
+
+        const { options, error: optionsError } = parseExtractOptions(query);
+        if (optionsError) {
+            sendBadRequest(res, optionsError);
+            return;
+        }
+
+        if (!options.replayHar && !await checkTargetPolicy(res, targetUrl)) return;
+
+        logger.info('REQUEST', `SSE ${targetUrl}`, { url: targetUrl });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        const controller = new AbortController();
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            if (!res.writableFinished) controller.abort();
+        });
+
+        const onEvent = (event, data) => sendEvent(res, event, data);
+        const eventId = `sse-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+        const pending = requestQueue.process(
+            (signal) => runExtraction(targetUrl, { ...options, signal, onEvent }),
+            { signal: controller.signal, id: eventId }
+        );
+
+        const position = requestQueue.getPosition(eventId);
+        if (position) {
+            sendEvent(res, 'queued', { position });
+        }
+
+        try {
+            const result = await pending;
+            if (result.aborted) return;
+            sendEvent(res, 'result', formatResult(result));
+        } catch (error) {
+            if (error.code === 'ABORTED') return;
+            sendEvent(res, 'error', {
+                success: false,
+                error: error.message,
+                ...(error.retryAfter && { retry_after: error.retryAfter })
+            });
+        }
+
+        clearInterval(heartbeat);
+        res.end();
+        return;
+    }
+
+    if (pathname === '/api/extract/batch' && req.method === 'POST') {
+        // Charged per URL once the body says how many
+        const client = checkApiKey(req, res, query, 'batch', 0);
+        if (!client) return;
+
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (e) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ success: false, error: e.message }, null, 2));
+            return;
+        }
+
+        const urls = body.urls;
+
+        if (!Array.isArray(urls) || urls.length === 0) {
             res.writeHead(400);
             res.end(JSON.stringify({
                 success: false,
-                error: 'Missing url parameter',
-                usage: '/api/extract?url=<target_url>'
+                error: 'Missing urls array',
+                usage: 'POST /api/extract/batch {"urls": ["<target_url>", ...]}'
             }, null, 2));
             return;
         }
 
-        try {
-            new URL(targetUrl);
-        } catch {
-            res.writeHead(400);
+        if (urls.length > BATCH_MAX_SIZE) {
+            res.writeHead(413);
             res.end(JSON.stringify({
                 success: false,
-                error: 'Invalid URL'
+                error: `Too many urls: ${urls.length} (max ${BATCH_MAX_SIZE})`
             }, null, 2));
             return;
         }
 
-        console.log(`[REQUEST] ${targetUrl}`);
+        if (!chargeRequests(res, client, 'batch', urls.length)) return;
 
-        // Queue extraction to prevent overload
-        const result = await requestQueue.process(async () => {
-            const userAgent = pick(USER_AGENTS);
-            const viewport = pick(VIEWPORTS);
+        logger.info('REQUEST', `Batch of ${urls.length}`);
 
-            let extractResult = await extractStreams(targetUrl, userAgent, viewport);
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
 
-            if (!extractResult.success && CONFIG.RETRY_COUNT > 0) {
-                console.log('[RETRY]');
-                await wait(1000);
-                extractResult = await extractStreams(targetUrl, pick(USER_AGENTS), pick(VIEWPORTS));
-            }
+        const results = await extractBatch(urls, { signal: controller.signal });
 
-            return extractResult;
-        });
+        if (controller.signal.aborted) {
+            logger.info('REQUEST', 'Client disconnected, batch cancelled');
+            return;
+        }
 
-        // Force garbage collection after extraction
-        if (global.gc) {
-            global.gc();
-            console.log('[GC] Triggered garbage collection');
+        const succeeded = results.filter(r => r.success).length;
+
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            success: true,
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            cached: results.filter(r => r.cached).length,
+            results
+        }, null, 2));
+        return;
+    }
+
+    if (pathname === '/api/jobs' && req.method === 'POST') {
+        if (!checkApiKey(req, res, query, 'jobs')) return;
+
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (e) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ success: false, error: e.message }, null, 2));
+            return;
         }
 
-        // Log memory usage
-        const memUsage = process.memoryUsage();
-        console.log(`[MEMORY] Heap: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB / ${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`);
+        const { url: targetUrl, options = {}, callback_url: callbackUrl } = body;
 
-        if (result.success) {
-            res.writeHead(200);
+        if (!targetUrl || !isHttpUrl(targetUrl)) {
+            res.writeHead(400);
             res.end(JSON.stringify({
-                success: true,
-                data: {
-                    stream_url: result.stream_url,
-                    headers: result.headers,
-                    subtitles: result.subtitles || []
-                },
-                all_streams: result.all_streams
+                success: false,
+                error: targetUrl ? 'Invalid URL' : 'Missing url field',
+                usage: 'POST /api/jobs {"url": "<target_url>", "callback_url": "<optional>"}'
+            }, null, 2));
+            return;
+        }
+
+        if (callbackUrl && !isHttpUrl(callbackUrl)) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ success: false, error: 'Invalid callback_url' }, null, 2));
+            return;
+        }
+
+        if (callbackUrl && !jobManager.webhooksEnabled) {
+            sendBadRequest(res, 'callback_url needs WEBHOOK_SECRET to be set on the server; poll the job instead');
+            return;
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ success: false, error: 'options must be an object' }, null, 2));
+            return;
+        }
+
+        const { options: jobOptions, error: optionsError } = parseExtractOptions(options);
+        if (optionsError) {
+            sendBadRequest(res, optionsError);
+            return;
+        }
+
+        if (!jobOptions.replayHar && !await checkTargetPolicy(res, targetUrl)) return;
+        // The webhook is a server-side POST, so it gets the same address checks
+        if (callbackUrl && !await checkTargetPolicy(res, callbackUrl, {})) return;
+
+        // Don't accept work the queue would reject anyway
+        if (requestQueue.isFull()) {
+            const retryAfter = requestQueue.estimateRetryAfter();
+            res.setHeader('Retry-After', String(retryAfter));
+            res.writeHead(503);
+            res.end(JSON.stringify({
+                success: false,
+                error: 'Server busy: extraction queue is full',
+                retry_after: retryAfter
             }, null, 2));
-        } else {
+            return;
+        }
+
+        const job = jobManager.create(targetUrl, jobOptions, callbackUrl || null);
+
+        res.setHeader('Location', `/api/jobs/${job.id}`);
+        res.writeHead(202);
+        res.end(JSON.stringify({ success: true, ...jobManager.toJSON(job) }, null, 2));
+        return;
+    }
+
+    const jobMatch = pathname.match(/^\/api\/jobs\/([\w-]+)$/);
+    if (jobMatch && req.method === 'GET') {
+        // Polling is free; only submitting a job counts against the key
+        if (!checkApiKey(req, res, query, 'jobs', 0)) return;
+
+        const job = jobManager.get(jobMatch[1]);
+        if (!job) {
             res.writeHead(404);
-            res.end(JSON.stringify(result, null, 2));
+            res.end(JSON.stringify({ success: false, error: 'Job not found' }, null, 2));
+            return;
         }
+
+        res.writeHead(200);
+        res.end(JSON.stringify({ success: true, ...jobManager.toJSON(job) }, null, 2));
         return;
     }
 
     // 404 for unknown routes
     res.writeHead(404);
     res.end(JSON.stringify({ error: 'Not Found' }));
+}
+
+// Routes whose every hit would drown the access log (players fetch segments by the hundred)
+const QUIET_ROUTES = ['/api/proxy', '/metrics', '/api/health', '/health'];
+
+// Every request gets an id, echoed in X-Request-Id and attached to its log lines
+const server = http.createServer((req, res) => {
+    const requestId = createRequestId(req.headers['x-request-id']);
+    const startedAt = Date.now();
+    res.setHeader('X-Request-Id', requestId);
+
+    runWithRequestId(requestId, () => {
+        const pathname = url.parse(req.url).pathname;
+        if (!QUIET_ROUTES.includes(pathname)) {
+            res.on('finish', () => {
+                logger.info('HTTP', `${req.method} ${pathname} ${res.statusCode} ${Date.now() - startedAt}ms`, {
+                    method: req.method,
+                    path: pathname,
+                    status: res.statusCode,
+                    duration_ms: Date.now() - startedAt
+                });
+            });
+        }
+
+        // A handler that throws must cost one request, not the whole process
+        handleRequest(req, res).catch((error) => {
+            logger.error('ERROR', `${req.method} ${pathname} failed: ${error.message}`, { method: req.method, path: pathname });
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: 'Internal server error', request_id: requestId }, null, 2));
+            } else {
+                res.destroy();
+            }
+        });
+    });
 });
 
 // Monitor memory usage every 30 seconds
@@ -179,16 +654,24 @@ setInterval(() => {
     const heapUsedMB = Math.round(mem.heapUsed / 1024 / 1024);
     const heapTotalMB = Math.round(mem.heapTotal / 1024 / 1024);
 
-    console.log(`[HEALTH] Memory: ${heapUsedMB}MB / ${heapTotalMB}MB`);
+    logger.info('HEALTH', `Memory: ${heapUsedMB}MB / ${heapTotalMB}MB`);
 
     // Aggressive GC for 500MB Railway
     if (global.gc && heapUsedMB > 100) { // Reduced for 500MB Railway
-        console.log('[HEALTH] High memory, triggering GC');
+        logger.info('HEALTH', 'High memory, triggering GC');
         global.gc();
     }
 }, 30000);
 
 server.listen(PORT, '0.0.0.0', () => {
-    console.log(`HLS Stream Extractor API running on port ${PORT}`);
-    console.log(`GC available: ${!!global.gc}`);
+    logger.info('SERVER', `HLS Stream Extractor API running on port ${PORT}`, { port: Number(PORT) });
+    logger.info('SERVER', `GC available: ${!!global.gc}`);
+});
+
+// Close pooled browsers on shutdown so no Chromium processes are left behind
+process.on('SIGTERM', async () => {
+    logger.info('SHUTDOWN', 'SIGTERM received');
+    server.close();
+    await browserPool.cleanup();
+    process.exit(0);
 });
@@ -0,0 +1,131 @@
+/**
+ * API Key tests
+ * Scopes, token-bucket rate limits and daily quotas of a KeyStore
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { KeyStore, ENDPOINTS } = require('../api/auth');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const request = (headers = {}) => ({ headers });
+
+function storeWith(entry) {
+    const store = new KeyStore([{ name: 'team-a', key: 'secret-a', ...entry }]);
+    return { store, client: store.clients[0] };
+}
+
+describe('KeyStore authentication', () => {
+    it('is open with no keys configured', () => {
+        const store = new KeyStore();
+        const { client } = store.authenticate(request(), {}, 'extract');
+        assert.strictEqual(client.name, 'anonymous');
+        assert.strictEqual(store.canViewKeyStats(request(), {}), true);
+    });
+
+    it('accepts a key by value or by SHA-256 digest', () => {
+        const digest = crypto.createHash('sha256').update('secret-b').digest('hex');
+        const store = new KeyStore([
+            { name: 'team-a', key: 'secret-a' },
+            { name: 'team-b', key_sha256: digest }
+        ]);
+        assert.strictEqual(store.authenticate(request({ 'x-api-key': 'secret-a' }), {}, 'extract').client.name, 'team-a');
+        assert.strictEqual(store.authenticate(request({ 'x-api-key': 'secret-b' }), {}, 'extract').client.name, 'team-b');
+    });
+
+    it('rejects missing and unknown keys with 401', () => {
+        const { store } = storeWith({});
+        assert.strictEqual(store.authenticate(request(), {}, 'extract').status, 401);
+        assert.strictEqual(store.authenticate(request({ 'x-api-key': 'wrong' }), {}, 'extract').status, 401);
+    });
+
+    it('stays closed when every configured key is invalid', () => {
+        const store = new KeyStore([{ name: 'broken' }]);
+        assert.strictEqual(store.clients.length, 0);
+        assert.strictEqual(store.authenticate(request(), {}, 'extract').status, 401);
+    });
+
+    it('rejects endpoints outside the key scope with 403', () => {
+        const { store, client } = storeWith({ endpoints: ['events'] });
+        const result = store.authenticate(request({ 'x-api-key': 'secret-a' }), {}, 'extract');
+        assert.strictEqual(result.status, 403);
+        assert.strictEqual(client.usage.forbidden, 1);
+    });
+
+    it('reads ?key= on the events endpoint only', () => {
+        const { store } = storeWith({});
+        assert.strictEqual(store.authenticate(request(), { key: 'secret-a' }, 'events').client.name, 'team-a');
+        assert.strictEqual(store.authenticate(request(), { key: 'secret-a' }, 'extract').status, 401);
+    });
+
+    it('shows key stats only to keys with the stats scope', () => {
+        const store = new KeyStore([
+            { name: 'team-a', key: 'secret-a' },
+            { name: 'admin', key: 'secret-admin', endpoints: ['stats'] }
+        ], 'legacy-key');
+
+        assert.deepStrictEqual(store.clients[0].endpoints, ENDPOINTS);
+        assert.strictEqual(store.canViewKeyStats(request({ 'x-api-key': 'secret-a' }), {}), false);
+        assert.strictEqual(store.canViewKeyStats(request({ 'x-api-key': 'secret-admin' }), {}), true);
+        assert.strictEqual(store.canViewKeyStats(request({ 'x-api-key': 'legacy-key' }), {}), true);
+        assert.strictEqual(store.canViewKeyStats(request(), { key: 'secret-admin' }), false);
+    });
+});
+
+describe('KeyStore limits', () => {
+    it('rate limits once the burst is spent and refills over time', () => {
+        const { store, client } = storeWith({ rate_per_minute: 60, burst: 2 });
+        const now = client.refilledAt;
+
+        assert.strictEqual(store.consume(client, 'extract', 1, now).allowed, true);
+        assert.strictEqual(store.consume(client, 'extract', 1, now).allowed, true);
+
+        const limited = store.consume(client, 'extract', 1, now);
+        assert.strictEqual(limited.allowed, false);
+        assert.match(limited.error, /Rate limit of 60 requests per minute/);
+        assert.strictEqual(limited.retryAfter, 1);
+        assert.strictEqual(limited.headers['X-RateLimit-Remaining'], '0');
+        assert.strictEqual(client.usage.rate_limited, 1);
+
+        assert.strictEqual(store.consume(client, 'extract', 1, now + 1000).allowed, true);
+        assert.strictEqual(client.usage.requests, 3);
+    });
+
+    it('refuses a cost larger than the burst outright', () => {
+        const { store, client } = storeWith({ rate_per_minute: 10, burst: 5 });
+        const result = store.consume(client, 'batch', 6, client.refilledAt);
+        assert.strictEqual(result.allowed, false);
+        assert.match(result.error, /costs 6, more than this key's burst of 5/);
+        assert.strictEqual(client.tokens, 5);
+    });
+
+    it('enforces the daily quota until the next UTC day', () => {
+        const { store, client } = storeWith({ daily_quota: 3 });
+        const now = client.day + 12 * 60 * MINUTE;
+
+        assert.strictEqual(store.consume(client, 'batch', 3, now).allowed, true);
+
+        const exceeded = store.consume(client, 'extract', 1, now);
+        assert.strictEqual(exceeded.allowed, false);
+        assert.match(exceeded.error, /Daily quota of 3 requests exceeded/);
+        assert.strictEqual(exceeded.retryAfter, 12 * 60 * 60);
+        assert.strictEqual(exceeded.headers['X-Quota-Remaining'], '0');
+        assert.strictEqual(client.usage.quota_exceeded, 1);
+
+        const nextDay = store.consume(client, 'extract', 1, now + DAY);
+        assert.strictEqual(nextDay.allowed, true);
+        assert.strictEqual(nextDay.headers['X-Quota-Remaining'], '2');
+    });
+
+    it('counts usage per endpoint', () => {
+        const { store, client } = storeWith({});
+        store.consume(client, 'extract');
+        store.consume(client, 'batch', 4);
+        assert.strictEqual(client.usage.by_endpoint.extract, 1);
+        assert.strictEqual(client.usage.by_endpoint.batch, 4);
+        assert.deepStrictEqual(store.consume(client, 'extract').headers, {});
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Cache Backend tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileBackend } = require('../api/cacheBackends');
+
+describe('FileBackend', () => {
+    let dir;
+    let backend;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-cache-test-'));
+        backend = new FileBackend({ dir });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const entry = (n) => ({ value: { stream_url: `https://cdn.example.com/${n}.m3u8`, padding: 'x'.repeat(n * 1000) }, timestamp: n, expiresAt: Date.now() + 60000 });
+
+    it('stores and reads entries', async () => {
+        const stored = entry(1);
+        await backend.set('https://example.com/a', stored);
+        assert.deepStrictEqual(await backend.get('https://example.com/a'), stored);
+        assert.strictEqual(await backend.get('https://example.com/missing'), null);
+    });
+
+    it('keeps one whole entry when the same key is written concurrently', async () => {
+        const writes = Array.from({ length: 20 }, (_, n) => backend.set('https://example.com/b', entry(n + 1)));
+        await Promise.all(writes);
+
+        const stored = await backend.get('https://example.com/b');
+        assert.strictEqual(stored.value.padding.length, stored.timestamp * 1000);
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * DASH Manifest Parser tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseMpd } = require('../api/dash');
+
+const MANIFEST_URL = 'https://cdn.example.com/vod/title/manifest.mpd';
+
+const MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- packaged for testing -->
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" xmlns:cenc="urn:mpeg:cenc:2013"
+     type="static" mediaPresentationDuration="PT1H2M3.5S" minBufferTime="PT2S">
+  <BaseURL>media/</BaseURL>
+  <Period id="p0" start="PT0S" duration="PT1H2M3.5S">
+    <AdaptationSet id="1" contentType="video" mimeType="video/mp4" frameRate="30000/1001" codecs="avc1.640028">
+      <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc" cenc:default_KID="1234-abcd"/>
+      <Representation id="v480" bandwidth="1200000" width="854" height="480"/>
+      <Representation id="v1080" bandwidth="5000000" width="1920" height="1080" codecs="avc1.64002a">
+        <BaseURL>1080/</BaseURL>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet id="2" mimeType="audio/mp4" lang="en">
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>
+      <Representation id="a128" bandwidth="128000" codecs="mp4a.40.2" audioSamplingRate="48000"/>
+    </AdaptationSet>
+    <AdaptationSet id="3" mimeType="text/vtt" lang="fr">
+      <Representation id="t-fr" bandwidth="256"><BaseURL>subs/fr.vtt?a=1&amp;b=2</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+describe('parseMpd', () => {
+    const manifest = parseMpd(MPD, MANIFEST_URL);
+    const [period] = manifest.periods;
+    const [video, audio, text] = period.adaptation_sets;
+
+    it('reads the presentation attributes', () => {
+        assert.strictEqual(manifest.type, 'dash');
+        assert.strictEqual(manifest.is_live, false);
+        assert.strictEqual(manifest.duration, 3723.5);
+        assert.strictEqual(manifest.min_buffer_time, 2);
+        assert.strictEqual(manifest.protected, true);
+        assert.deepStrictEqual([period.id, period.start, period.duration], ['p0', 0, 3723.5]);
+    });
+
+    it('sorts representations by bandwidth and inherits set attributes', () => {
+        assert.deepStrictEqual(video.representations.map(r => r.id), ['v1080', 'v480']);
+        const [hd, sd] = video.representations;
+
+        assert.strictEqual(hd.resolution, '1920x1080');
+        assert.strictEqual(hd.codecs, 'avc1.64002a');
+        assert.strictEqual(sd.codecs, 'avc1.640028');
+        assert.strictEqual(sd.mime_type, 'video/mp4');
+        assert.strictEqual(sd.frame_rate, 29.97);
+    });
+
+    it('cascades BaseURL elements against the manifest URL', () => {
+        assert.strictEqual(video.representations[0].base_url, 'https://cdn.example.com/vod/title/media/1080/');
+        assert.strictEqual(video.representations[1].base_url, 'https://cdn.example.com/vod/title/media/');
+        assert.strictEqual(text.representations[0].base_url, 'https://cdn.example.com/vod/title/media/subs/fr.vtt?a=1&b=2');
+    });
+
+    it('reports content protection with namespaced attributes', () => {
+        assert.strictEqual(video.protected, true);
+        assert.deepStrictEqual(video.content_protection, [{
+            scheme_id_uri: 'urn:mpeg:dash:mp4protection:2011',
+            value: 'cenc',
+            default_kid: '1234-abcd'
+        }]);
+        assert.strictEqual(audio.protected, false);
+    });
+
+    it('derives content types, languages and roles', () => {
+        assert.deepStrictEqual(
+            period.adaptation_sets.map(s => [s.content_type, s.language, s.role]),
+            [['video', null, null], ['audio', 'en', 'main'], ['text', 'fr', null]]
+        );
+        assert.strictEqual(audio.representations[0].audio_sampling_rate, 48000);
+    });
+
+    it('marks dynamic manifests as live', () => {
+        const live = parseMpd('<MPD type="dynamic" minBufferTime="PT4S"><Period/></MPD>', MANIFEST_URL);
+        assert.strictEqual(live.is_live, true);
+        assert.strictEqual(live.duration, null);
+        assert.deepStrictEqual(live.periods[0].adaptation_sets, []);
+    });
+
+    it('rejects documents that are not MPDs', () => {
+        assert.throws(() => parseMpd('#EXTM3U\n', MANIFEST_URL), /Not a DASH manifest/);
+        assert.throws(() => parseMpd('<html><body/></html>', MANIFEST_URL), /Not a DASH manifest/);
+    });
+});
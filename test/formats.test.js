@@ -0,0 +1,115 @@
+/**
+ * Output Format tests
+ * Quoted arguments are checked by handing them to a real shell
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync, spawnSync } = require('child_process');
+const { renderFormat, isFormat, shellQuote, shellQuoteAnsi } = require('../api/formats');
+
+const HAS_BASH = spawnSync('bash', ['-c', 'true']).status === 0;
+
+// What bash hands a command for each word of `words`
+const shellWords = (words) => execFileSync('bash', ['-c', `printf '%s\\0' ${words}`], { encoding: 'utf8' }).split('\0').slice(0, -1);
+
+const HOSTILE = [
+    'plain-value',
+    'https://cdn.example.com/a b/master.m3u8?x=1&y=$(id)',
+    "it's `whoami` $HOME; rm -rf / #",
+    'back\\slash "quoted" *glob? ~tilde !bang',
+    ''
+];
+
+const DATA = {
+    stream_url: 'https://cdn.example.com/hls/master.m3u8?token=a&b=c',
+    headers: {
+        'Referer': 'https://example.com/watch/1',
+        'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64)',
+        'X-Evil': "a'b\r\nInjected: yes"
+    },
+    subtitles: [
+        { language_code: 'fr', url: 'https://cdn.example.com/fr.srt', vtt_url: '/api/subtitles?s=1&u=fr' },
+        { language_code: 'en', default: true, url: 'https://cdn.example.com/en.srt', vtt_url: '/api/subtitles?s=1&u=en' }
+    ]
+};
+
+describe('shell quoting', { skip: !HAS_BASH && 'bash is not available' }, () => {
+    it('shellQuote survives the shell unchanged', () => {
+        assert.deepStrictEqual(shellWords(HOSTILE.map(shellQuote).join(' ')), HOSTILE);
+    });
+
+    it('leaves safe words bare', () => {
+        assert.strictEqual(shellQuote('output.mkv'), 'output.mkv');
+        assert.strictEqual(shellQuote('a b'), "'a b'");
+    });
+
+    it('shellQuoteAnsi keeps control characters as real bytes', () => {
+        const value = "Referer: x\r\nCookie: a='1'\\2\t\x01\r\n";
+        assert.deepStrictEqual(shellWords(shellQuoteAnsi(value)), [value]);
+        assert.deepStrictEqual(shellWords(HOSTILE.map(shellQuoteAnsi).join(' ')), HOSTILE);
+    });
+});
+
+describe('renderFormat', () => {
+    it('knows its formats', () => {
+        assert.strictEqual(isFormat('mpv'), true);
+        assert.strictEqual(isFormat('toString'), false);
+        assert.strictEqual(renderFormat('m3u', DATA).contentType, 'audio/x-mpegurl; charset=utf-8');
+    });
+
+    it('ffmpeg: sends the headers with CRLFs and one subtitle input', { skip: !HAS_BASH && 'bash is not available' }, () => {
+        const { body } = renderFormat('ffmpeg', DATA, { baseUrl: 'https://api.example.com' });
+        const args = shellWords(body.trim().replace(/^ffmpeg /, ''));
+
+        assert.deepStrictEqual(args, [
+            '-headers',
+            'Referer: https://example.com/watch/1\r\nUser-Agent: Mozilla/5.0 (X11; Linux x86_64)\r\nX-Evil: a\'b Injected: yes\r\n',
+            '-i', DATA.stream_url,
+            '-i', 'https://api.example.com/api/subtitles?s=1&u=en',
+            '-c', 'copy',
+            '-metadata:s:s:0', 'language=en',
+            'output.mkv'
+        ]);
+    });
+
+    it('mpv: one header flag per header and every subtitle', { skip: !HAS_BASH && 'bash is not available' }, () => {
+        const { body } = renderFormat('mpv', DATA, { baseUrl: 'https://api.example.com' });
+        assert.deepStrictEqual(shellWords(body.trim().replace(/^mpv /, '')), [
+            '--http-header-fields-append=Referer: https://example.com/watch/1',
+            '--http-header-fields-append=User-Agent: Mozilla/5.0 (X11; Linux x86_64)',
+            '--http-header-fields-append=X-Evil: a\'b Injected: yes',
+            '--sub-files-append=https://api.example.com/api/subtitles?s=1&u=fr',
+            '--sub-files-append=https://api.example.com/api/subtitles?s=1&u=en',
+            DATA.stream_url
+        ]);
+    });
+
+    it('yt-dlp: headers as --add-header arguments', { skip: !HAS_BASH && 'bash is not available' }, () => {
+        const { body } = renderFormat('ytdlp', DATA);
+        assert.deepStrictEqual(shellWords(body.trim().replace(/^yt-dlp /, '')), [
+            '--add-header', 'Referer:https://example.com/watch/1',
+            '--add-header', 'User-Agent:Mozilla/5.0 (X11; Linux x86_64)',
+            '--add-header', 'X-Evil:a\'b Injected: yes',
+            DATA.stream_url
+        ]);
+    });
+
+    it('m3u: VLC options and the original subtitle files without a base URL', () => {
+        const { body } = renderFormat('m3u', DATA, { title: 'Episode\n1' });
+        assert.strictEqual(body, [
+            '#EXTM3U',
+            '#EXTINF:-1,Episode 1',
+            '#EXTVLCOPT:http-referrer=https://example.com/watch/1',
+            '#EXTVLCOPT:http-user-agent=Mozilla/5.0 (X11; Linux x86_64)',
+            '#EXTVLCOPT:input-slave=https://cdn.example.com/fr.srt#https://cdn.example.com/en.srt',
+            DATA.stream_url,
+            ''
+        ].join('\n'));
+    });
+
+    it('strm: URL-encoded headers after a pipe', () => {
+        const { body } = renderFormat('strm', { stream_url: DATA.stream_url, headers: { 'Referer': 'https://example.com/a b' } });
+        assert.strictEqual(body, `${DATA.stream_url}|Referer=https%3A%2F%2Fexample.com%2Fa%20b\n`);
+    });
+});
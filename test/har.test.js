@@ -0,0 +1,87 @@
+/**
+ * HAR Replay tests
+ * Intercepted requests are faked; nothing starts a browser
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { HarReplay } = require('../api/har');
+
+const MASTER_URL = 'https://cdn.example.com/hls/master.m3u8';
+
+const HAR = {
+    log: {
+        entries: [{
+            request: { method: 'GET', url: MASTER_URL },
+            response: {
+                status: 200,
+                headers: [{ name: 'Content-Type', value: 'application/vnd.apple.mpegurl' }, { name: 'Content-Length', value: '8' }],
+                content: { text: '#EXTM3U\n' }
+            }
+        }]
+    }
+};
+
+// Records what the replay did with an intercepted request
+function fakeRequest(url, method = 'GET') {
+    const request = {
+        outcome: null,
+        url: () => url,
+        method: () => method,
+        continue: async () => { request.outcome = ['continue']; },
+        abort: async (reason) => { request.outcome = ['abort', reason]; },
+        respond: async (response) => { request.outcome = ['respond', response]; }
+    };
+    return request;
+}
+
+describe('ReplaySession.respond', () => {
+    it('answers recorded requests from the HAR', async () => {
+        const request = fakeRequest(MASTER_URL);
+        await new HarReplay(HAR).session().respond(request);
+
+        const [outcome, response] = request.outcome;
+        assert.strictEqual(outcome, 'respond');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.headers, { 'content-type': 'application/vnd.apple.mpegurl' });
+        assert.strictEqual(response.body.toString(), '#EXTM3U\n');
+    });
+
+    it('aborts requests that were not recorded', async () => {
+        const session = new HarReplay(HAR).session();
+        const request = fakeRequest('https://cdn.example.com/hls/other.m3u8');
+        await session.respond(request);
+        assert.deepStrictEqual(request.outcome, ['abort', 'internetdisconnected']);
+        assert.strictEqual(session.missed, 1);
+    });
+
+    it('lets page-local schemes through', async () => {
+        for (const url of ['data:text/plain,hi', 'blob:https://example.com/1234', 'about:blank']) {
+            const request = fakeRequest(url);
+            await new HarReplay(HAR).session().respond(request);
+            assert.deepStrictEqual(request.outcome, ['continue'], url);
+        }
+    });
+
+    it('refuses file: and other schemes', async () => {
+        for (const url of ['file:///etc/passwd', 'chrome://settings', 'ftp://example.com/']) {
+            const request = fakeRequest(url);
+            await new HarReplay(HAR).session().respond(request);
+            assert.deepStrictEqual(request.outcome, ['abort', 'accessdenied'], url);
+        }
+    });
+});
+
+describe('HarReplay.manifest', () => {
+    it('follows recorded redirects', async () => {
+        const har = {
+            log: {
+                entries: [
+                    { request: { method: 'GET', url: 'https://example.com/stream' }, response: { status: 302, redirectURL: MASTER_URL } },
+                    ...HAR.log.entries
+                ]
+            }
+        };
+        assert.deepStrictEqual(await new HarReplay(har).manifest('https://example.com/stream?t=1'), { url: MASTER_URL, text: '#EXTM3U\n' });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * HLS Manifest Parser tests
+ */
+
+process.env.ALLOW_PRIVATE_TARGETS = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parseMasterPlaylist, loadMasterPlaylist, fetchManifest } = require('../api/hls');
+
+const MASTER = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,URI="audio/en.m3u8"',
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Français",LANGUAGE="fr",FORCED=NO,URI="subs/fr.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2",AUDIO="aac"',
+    'low/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4500000,RESOLUTION=1920x1080,FRAME-RATE=29.970,AUDIO="aac",SUBTITLES="subs"',
+    'https://other.example.com/high/index.m3u8'
+].join('\r\n');
+
+describe('parseMasterPlaylist', () => {
+    const playlist = parseMasterPlaylist(MASTER, 'https://cdn.example.com/hls/master.m3u8');
+
+    it('sorts variants by bandwidth and resolves their URIs', () => {
+        assert.strictEqual(playlist.is_master, true);
+        assert.deepStrictEqual(playlist.variants.map(v => [v.url, v.bandwidth, v.width, v.height]), [
+            ['https://other.example.com/high/index.m3u8', 5000000, 1920, 1080],
+            ['https://cdn.example.com/hls/low/index.m3u8', 800000, 640, 360]
+        ]);
+
+        const [high, low] = playlist.variants;
+        assert.strictEqual(high.average_bandwidth, 4500000);
+        assert.strictEqual(high.frame_rate, 29.97);
+        assert.strictEqual(high.subtitles, 'subs');
+        assert.strictEqual(low.codecs, 'avc1.4d401e,mp4a.40.2');
+    });
+
+    it('reads renditions', () => {
+        assert.deepStrictEqual(playlist.renditions.map(r => [r.type, r.language, r.default, r.url]), [
+            ['AUDIO', 'en', true, 'https://cdn.example.com/hls/audio/en.m3u8'],
+            ['SUBTITLES', 'fr', false, 'https://cdn.example.com/hls/subs/fr.m3u8']
+        ]);
+    });
+
+    it('treats media playlists as non-master', () => {
+        const media = parseMasterPlaylist('#EXTM3U\n#EXTINF:6,\nseg-1.ts\n', 'https://cdn.example.com/a.m3u8');
+        assert.deepStrictEqual(media, { is_master: false, variants: [], renditions: [] });
+    });
+
+    it('rejects other documents', () => {
+        assert.throws(() => parseMasterPlaylist('<html></html>', ''), /Not an HLS playlist/);
+    });
+});
+
+describe('fetchManifest', () => {
+    let server;
+    let origin;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/master.m3u8') return res.end(MASTER);
+            if (req.url === '/redirect') {
+                res.writeHead(302, { location: '/master.m3u8' });
+                return res.end();
+            }
+            if (req.url === '/declared.m3u8') {
+                res.writeHead(200, { 'Content-Length': String(64 * 1024 * 1024) });
+                return res.write('#EXTM3U\n');
+            }
+            // No Content-Length and no end
+            res.writeHead(200);
+            const chunk = Buffer.alloc(64 * 1024, '#');
+            const pump = () => { while (!res.destroyed && res.write(chunk)); };
+            res.on('drain', pump);
+            pump();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    it('loads a playlist relative to the final URL', async () => {
+        const playlist = await loadMasterPlaylist(`${origin}/redirect`, {});
+        assert.strictEqual(playlist.variants[1].url, `${origin}/low/index.m3u8`);
+    });
+
+    it('refuses manifests over the size cap', async () => {
+        await assert.rejects(fetchManifest(`${origin}/declared.m3u8`), /Manifest too large/);
+        await assert.rejects(fetchManifest(`${origin}/endless.m3u8`), /Manifest too large/);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Language Normalization tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeLanguage, languageFromLabel, languageFromUrl } = require('../api/languages');
+
+const codeOf = (found) => (found ? found.code : null);
+
+describe('normalizeLanguage', () => {
+    it('accepts codes and names', () => {
+        assert.deepStrictEqual(normalizeLanguage('eng'), { code: 'en', name: 'English' });
+        assert.strictEqual(codeOf(normalizeLanguage('pt_BR')), 'pt-BR');
+        assert.strictEqual(codeOf(normalizeLanguage('Portuguese (Brazil)')), 'pt-BR');
+        assert.strictEqual(codeOf(normalizeLanguage('Castellano')), 'es');
+    });
+
+    it('rejects non-languages and made-up regions', () => {
+        assert.strictEqual(normalizeLanguage('und'), null);
+        assert.strictEqual(normalizeLanguage('my-EN'), null);
+        assert.strictEqual(normalizeLanguage(''), null);
+        assert.strictEqual(normalizeLanguage(42), null);
+    });
+});
+
+describe('languageFromLabel', () => {
+    it('finds the language among label extras', () => {
+        assert.strictEqual(codeOf(languageFromLabel('English [CC]')), 'en');
+        assert.strictEqual(codeOf(languageFromLabel('SDH English')), 'en');
+        assert.strictEqual(codeOf(languageFromLabel('Español (Latinoamérica) - Forced')), 'es');
+        assert.strictEqual(codeOf(languageFromLabel('Latino')), 'es-419');
+        assert.strictEqual(codeOf(languageFromLabel('fre')), 'fr');
+    });
+
+    it('does not read label words as obscure three-letter codes', () => {
+        assert.strictEqual(languageFromLabel('SDH'), null);
+        assert.strictEqual(languageFromLabel('New'), null);
+        assert.strictEqual(languageFromLabel('Man'), null);
+        assert.strictEqual(languageFromLabel('Forced'), null);
+    });
+});
+
+describe('languageFromUrl', () => {
+    it('reads query parameters, file names and directories', () => {
+        assert.strictEqual(codeOf(languageFromUrl('https://cdn.example.com/subs.vtt?lang=de')), 'de');
+        assert.strictEqual(codeOf(languageFromUrl('https://cdn.example.com/movie.en.vtt')), 'en');
+        assert.strictEqual(codeOf(languageFromUrl('https://cdn.example.com/subs_pt-BR.srt')), 'pt-BR');
+        assert.strictEqual(codeOf(languageFromUrl('https://cdn.example.com/english/1.vtt')), 'en');
+    });
+
+    it('ignores ambiguous path words', () => {
+        assert.strictEqual(languageFromUrl('https://cdn.example.com/it/1.vtt'), null);
+        assert.strictEqual(languageFromUrl('https://cdn.example.com/new/sdh.vtt'), null);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * HLS Proxy tests
+ * Link signing, verification and playlist rewriting
+ */
+
+process.env.PROXY_SECRET = 'test-proxy-secret';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { buildProxyUrl, createSession, rewritePlaylist, verifyProxyRequest } = require('../api/proxy');
+
+const STREAM_URL = 'https://cdn.example.com/hls/master.m3u8?token=abc';
+const HEADERS = { Referer: 'https://example.com/watch/1' };
+
+const queryOf = (link) => Object.fromEntries(new URL(link, 'http://localhost').searchParams);
+const freshSession = () => createSession(HEADERS, Date.now() + 60 * 1000);
+
+describe('verifyProxyRequest', () => {
+    it('accepts a link it signed and returns its URL and headers', () => {
+        const session = freshSession();
+        const result = verifyProxyRequest(queryOf(buildProxyUrl(session, STREAM_URL)));
+        assert.deepStrictEqual(result, { url: STREAM_URL, session, headers: HEADERS });
+    });
+
+    it('rejects links with missing parameters', () => {
+        const { s, u } = queryOf(buildProxyUrl(freshSession(), STREAM_URL));
+        assert.deepStrictEqual(verifyProxyRequest({ s, u }), { error: 'Missing proxy parameters' });
+    });
+
+    it('rejects a swapped target URL', () => {
+        const query = queryOf(buildProxyUrl(freshSession(), STREAM_URL));
+        query.u = Buffer.from('http://169.254.169.254/latest/meta-data/').toString('base64url');
+        assert.deepStrictEqual(verifyProxyRequest(query), { error: 'Invalid signature' });
+    });
+
+    it('rejects a session with altered headers or expiry', () => {
+        const query = queryOf(buildProxyUrl(freshSession(), STREAM_URL));
+        query.s = createSession({ Cookie: 'stolen=1' }, Date.now() + 365 * 24 * 60 * 60 * 1000);
+        assert.deepStrictEqual(verifyProxyRequest(query), { error: 'Invalid signature' });
+    });
+
+    it('rejects a signature made with another secret', () => {
+        const session = freshSession();
+        const query = queryOf(buildProxyUrl(session, STREAM_URL));
+        query.sig = crypto.createHmac('sha256', 'some-api-key').update(`${session}\n${STREAM_URL}`).digest('base64url');
+        assert.deepStrictEqual(verifyProxyRequest(query), { error: 'Invalid signature' });
+        assert.deepStrictEqual(verifyProxyRequest({ ...query, sig: 'short' }), { error: 'Invalid signature' });
+    });
+
+    it('rejects an expired link', () => {
+        const session = createSession(HEADERS, Date.now() - 1000);
+        assert.deepStrictEqual(verifyProxyRequest(queryOf(buildProxyUrl(session, STREAM_URL))), { error: 'Proxy link expired' });
+    });
+});
+
+describe('rewritePlaylist', () => {
+    it('routes every referenced URI through signed proxy links', () => {
+        const session = freshSession();
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-KEY:METHOD=AES-128,URI="keys/1.key"',
+            '#EXT-X-MAP:URI="init.mp4"',
+            '#EXTINF:6.0,',
+            'seg-1.ts',
+            '',
+            '#EXTINF:6.0,',
+            'https://other.example.com/seg-2.ts'
+        ].join('\n');
+
+        const lines = rewritePlaylist(playlist, STREAM_URL, session).split('\n');
+        const keyLink = lines[1].match(/URI="([^"]+)"/)[1];
+        const mapLink = lines[2].match(/URI="([^"]+)"/)[1];
+
+        assert.strictEqual(lines[0], '#EXTM3U');
+        assert.strictEqual(lines[5], '');
+        assert.strictEqual(verifyProxyRequest(queryOf(keyLink)).url, 'https://cdn.example.com/hls/keys/1.key');
+        assert.strictEqual(verifyProxyRequest(queryOf(mapLink)).url, 'https://cdn.example.com/hls/init.mp4');
+        assert.strictEqual(verifyProxyRequest(queryOf(lines[4])).url, 'https://cdn.example.com/hls/seg-1.ts');
+        assert.strictEqual(verifyProxyRequest(queryOf(lines[7])).url, 'https://other.example.com/seg-2.ts');
+    });
+
+    it('leaves key URIs for the player alone', () => {
+        const line = '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"';
+        assert.strictEqual(rewritePlaylist(line, STREAM_URL, freshSession()), line);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Subtitle endpoint tests
+ * A local server plays both the API and the upstream CDN
+ */
+
+process.env.PROXY_SECRET = 'test-proxy-secret';
+process.env.ALLOW_PRIVATE_TARGETS = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { handleSubtitles } = require('../api/subtitles');
+const { buildSignedUrl, createSession } = require('../api/proxy');
+
+const SEGMENT_SIZE = 3 * 1024 * 1024;
+const segmentBody = (index) => `WEBVTT\n\n00:00:0${index}.000 --> 00:00:0${index}.500\nSegment ${index}\n`;
+
+let server;
+let origin;
+const requested = [];
+
+function playlist(segments) {
+    return ['#EXTM3U', ...segments.flatMap(name => ['#EXTINF:1,', name]), '#EXT-X-ENDLIST'].join('\n');
+}
+
+function route(req, res) {
+    const url = new URL(req.url, origin);
+    if (url.pathname === '/api/subtitles') return handleSubtitles(req, res, Object.fromEntries(url.searchParams));
+
+    requested.push(url.pathname);
+    const [, kind, name] = url.pathname.split('/');
+
+    if (kind === 'playlists') {
+        res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+        const folder = name.replace('.m3u8', '');
+        return res.end(playlist(Array.from({ length: 8 }, (_, i) => `/${folder}/${i}.vtt`)));
+    }
+    if (kind === 'small') {
+        res.writeHead(200, { 'Content-Type': 'text/vtt' });
+        return res.end(segmentBody(Number(name.split('.')[0])));
+    }
+    if (kind === 'large') {
+        // No Content-Length, so only the running total can catch it
+        res.writeHead(200, { 'Content-Type': 'text/vtt' });
+        return res.end(segmentBody(0) + 'x'.repeat(SEGMENT_SIZE));
+    }
+    if (kind === 'failing') {
+        if (name === '0.vtt') {
+            res.writeHead(500);
+            return res.end();
+        }
+        // Slow enough that the failure arrives first
+        return setTimeout(() => res.end(segmentBody(1)), 200);
+    }
+    res.writeHead(404);
+    res.end();
+}
+
+async function getSubtitles(upstreamPath) {
+    const session = createSession({}, Date.now() + 60 * 1000);
+    const response = await fetch(origin + buildSignedUrl('/api/subtitles', session, origin + upstreamPath));
+    return { status: response.status, body: await response.text() };
+}
+
+describe('handleSubtitles with HLS subtitle playlists', () => {
+    before(async () => {
+        server = http.createServer(route);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('flattens the segments into one WebVTT file', async () => {
+        const { status, body } = await getSubtitles('/playlists/small.m3u8');
+        assert.strictEqual(status, 200);
+        assert.match(body, /^WEBVTT\n/);
+        assert.strictEqual(body.match(/Segment \d/g).length, 8);
+    });
+
+    it('stops once the segments together pass the size limit', async () => {
+        requested.length = 0;
+        const { status, body } = await getSubtitles('/playlists/large.m3u8');
+
+        assert.strictEqual(status, 502);
+        assert.match(body, /too large/);
+        assert.ok(requested.filter(p => p.startsWith('/large/')).length < 8, `fetched ${requested.length} segments`);
+    });
+
+    it('cancels the remaining segments after the first failure', async () => {
+        requested.length = 0;
+        const { status, body } = await getSubtitles('/playlists/failing.m3u8');
+
+        assert.strictEqual(status, 502);
+        assert.match(body, /HTTP 500/);
+        // The first four started together; give any leftover workers time to fetch more
+        await new Promise(resolve => setTimeout(resolve, 500));
+        assert.strictEqual(requested.filter(p => p.startsWith('/failing/')).length, 4);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Target URL Policy tests
+ * IP literals and stubbed fetches only, so nothing here touches DNS or the network
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { checkUrl, checkPageRequest, guardedFetch, POLICY_CONFIG } = require('../api/urlPolicy');
+
+const PUBLIC_URL = 'http://93.184.216.34/master.m3u8';
+
+describe('checkUrl', () => {
+    afterEach(() => {
+        POLICY_CONFIG.ALLOWLIST.length = 0;
+        POLICY_CONFIG.DENYLIST.length = 0;
+    });
+
+    it('allows public addresses', async () => {
+        assert.strictEqual(await checkUrl(PUBLIC_URL), null);
+        assert.strictEqual(await checkUrl('https://[2606:4700::6810:84e5]/'), null);
+    });
+
+    it('rejects invalid URLs and non-http schemes', async () => {
+        assert.strictEqual(await checkUrl('not a url'), 'invalid URL');
+        assert.match(await checkUrl('file:///etc/passwd'), /scheme file: is not allowed/);
+        assert.match(await checkUrl('ftp://93.184.216.34/'), /scheme ftp: is not allowed/);
+    });
+
+    for (const url of [
+        'http://127.0.0.1/',
+        'http://10.1.2.3/',
+        'http://172.16.0.1/',
+        'http://192.168.1.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://100.64.0.1/',
+        'http://0.0.0.0/',
+        'http://[::1]/',
+        'http://[::]/',
+        'http://[fd00::1]/',
+        'http://[fe80::1]/'
+    ]) {
+        it(`blocks private and reserved address ${url}`, async () => {
+            assert.match(await checkUrl(url), /private or reserved address/);
+        });
+    }
+
+    it('blocks IPv4-mapped IPv6 addresses', async () => {
+        assert.match(await checkUrl('http://[::ffff:127.0.0.1]/'), /private or reserved/);
+        assert.match(await checkUrl('http://[::ffff:a9fe:a9fe]/'), /private or reserved/);
+    });
+
+    it('blocks the NAT64 prefixes', async () => {
+        assert.match(await checkUrl('http://[64:ff9b::7f00:1]/'), /private or reserved/);
+        assert.match(await checkUrl('http://[64:ff9b:1::a00:1]/'), /private or reserved/);
+    });
+
+    it('blocks 6to4 addresses', async () => {
+        assert.match(await checkUrl('http://[2002:7f00:1::]/'), /private or reserved/);
+        assert.match(await checkUrl('http://[2002:a9fe:a9fe::1]/'), /private or reserved/);
+    });
+
+    it('blocks IPv4-compatible IPv6 addresses', async () => {
+        assert.match(await checkUrl('http://[::127.0.0.1]/'), /private or reserved/);
+        assert.match(await checkUrl('http://[::a9fe:a9fe]/'), /private or reserved/);
+    });
+
+    it('applies the denylist to every URL', async () => {
+        POLICY_CONFIG.DENYLIST.push('93.184.216.34');
+        assert.match(await checkUrl(PUBLIC_URL), /denylisted/);
+        assert.match(await checkPageRequest(PUBLIC_URL), /denylisted/);
+    });
+
+    it('applies the allowlist to targets only', async () => {
+        POLICY_CONFIG.ALLOWLIST.push('203.0.113.9');
+        assert.match(await checkUrl(PUBLIC_URL, { target: true }), /not on the allowlist/);
+        assert.strictEqual(await checkUrl(PUBLIC_URL), null);
+    });
+});
+
+describe('checkPageRequest', () => {
+    it('lets page-local schemes through', async () => {
+        assert.strictEqual(await checkPageRequest('data:text/plain,hi'), null);
+        assert.strictEqual(await checkPageRequest('blob:https://example.com/1234'), null);
+        assert.strictEqual(await checkPageRequest('about:blank'), null);
+    });
+
+    it('blocks page requests to private addresses', async () => {
+        assert.match(await checkPageRequest('http://127.0.0.1:8080/admin'), /private or reserved/);
+    });
+});
+
+describe('guardedFetch', () => {
+    const realFetch = global.fetch;
+    afterEach(() => { global.fetch = realFetch; });
+
+    it('refuses a blocked URL before fetching', async () => {
+        global.fetch = () => assert.fail('fetch should not be called');
+        await assert.rejects(guardedFetch('http://127.0.0.1/'), { code: 'URL_BLOCKED' });
+    });
+
+    it('refuses a redirect to a private address', async () => {
+        const fetched = [];
+        global.fetch = async (url) => {
+            fetched.push(url);
+            return new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/' } });
+        };
+
+        await assert.rejects(guardedFetch(PUBLIC_URL), { code: 'URL_BLOCKED' });
+        assert.deepStrictEqual(fetched, [PUBLIC_URL]);
+    });
+
+    it('follows redirects between public addresses', async () => {
+        global.fetch = async (url, options) => {
+            assert.strictEqual(options.redirect, 'manual');
+            return url === PUBLIC_URL
+                ? new Response(null, { status: 301, headers: { location: '/moved.m3u8' } })
+                : new Response('#EXTM3U', { status: 200 });
+        };
+
+        const response = await guardedFetch(PUBLIC_URL);
+        assert.strictEqual(await response.text(), '#EXTM3U');
+    });
+});
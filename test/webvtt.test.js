@@ -0,0 +1,143 @@
+/**
+ * WebVTT Conversion tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+    decodeSubtitle,
+    detectFormat,
+    toWebVtt,
+    parseSegmentPlaylist,
+    mergeVttSegments
+} = require('../api/webvtt');
+
+const SRT = [
+    '1',
+    '00:00:01,500 --> 00:00:03,000',
+    '<i>Hello</i> & <font color="red">welcome</font>',
+    '',
+    '2',
+    '00:00:04,000 --> 00:00:05,250',
+    '{\\an8}Top line',
+    ''
+].join('\r\n');
+
+const ASS = `[Script Info]
+ScriptType: v4.00+
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:02.00,0:00:04.50,Default,,0,0,0,,Second, with a comma
+Dialogue: 0,0:00:00.50,0:00:01.00,Default,,0,0,0,,{\\i1}First{\\i0}\\Nline
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100
+`;
+
+describe('detectFormat', () => {
+    it('recognizes formats by content', () => {
+        assert.strictEqual(detectFormat('\uFEFFWEBVTT\n\n'), 'vtt');
+        assert.strictEqual(detectFormat('#EXTM3U\n'), 'hls');
+        assert.strictEqual(detectFormat(SRT), 'srt');
+        assert.strictEqual(detectFormat(ASS), 'ass');
+        assert.strictEqual(detectFormat('[Script Info]\nScriptType: v4.00\n'), 'ssa');
+    });
+
+    it('falls back to the URL extension', () => {
+        assert.strictEqual(detectFormat('', 'https://cdn.example.com/subs/en.SRT?token=1'), 'srt');
+        assert.strictEqual(detectFormat('', 'https://cdn.example.com/subs/en'), null);
+    });
+});
+
+describe('toWebVtt', () => {
+    it('converts SRT, keeping WebVTT tags and escaping the rest', () => {
+        assert.strictEqual(toWebVtt(SRT, 'srt'), [
+            'WEBVTT',
+            '',
+            '00:00:01.500 --> 00:00:03.000',
+            '<i>Hello</i> &amp; welcome',
+            '',
+            '00:00:04.000 --> 00:00:05.250 line:0',
+            'Top line',
+            ''
+        ].join('\n'));
+    });
+
+    it('converts ASS dialogue in time order, with styles and line breaks', () => {
+        assert.strictEqual(toWebVtt(ASS, 'ass'), [
+            'WEBVTT',
+            '',
+            '00:00:00.500 --> 00:00:01.000',
+            '<i>First</i>',
+            'line',
+            '',
+            '00:00:02.000 --> 00:00:04.500',
+            'Second, with a comma',
+            ''
+        ].join('\n'));
+    });
+
+    it('shifts cues, clipping or dropping the ones before zero', () => {
+        const vtt = 'WEBVTT\n\n00:00:00.500 --> 00:00:01.000\nGone\n\n00:00:01.500 --> 00:00:03.000 align:start\nClipped\n';
+        assert.strictEqual(toWebVtt(vtt, 'vtt', -2), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000 align:start\nClipped\n');
+        assert.match(toWebVtt(vtt, 'vtt', 3600), /01:00:00\.500 --> 01:00:01\.000/);
+    });
+
+    it('rejects unsupported formats', () => {
+        assert.throws(() => toWebVtt('<tt/>', 'ttml'), /Unsupported subtitle format: ttml/);
+        assert.throws(() => toWebVtt('', null), /Unsupported subtitle format: unknown/);
+    });
+});
+
+describe('decodeSubtitle', () => {
+    it('honours byte order marks', () => {
+        const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('WEBVTT', 'utf16le')]);
+        assert.deepStrictEqual(decodeSubtitle(utf16), { text: 'WEBVTT', charset: 'utf-16le' });
+        const utf8 = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('café')]);
+        assert.deepStrictEqual(decodeSubtitle(utf8), { text: 'café', charset: 'utf-8' });
+    });
+
+    it('detects UTF-16 without a BOM', () => {
+        const text = '1\n00:00:01,000 --> 00:00:02,000\nHello';
+        assert.deepStrictEqual(decodeSubtitle(Buffer.from(text, 'utf16le')), { text, charset: 'utf-16le' });
+        assert.deepStrictEqual(decodeSubtitle(Buffer.from(text, 'utf16le').swap16()), { text, charset: 'utf-16be' });
+    });
+
+    it('falls back to the legacy codepage of the language when UTF-8 is invalid', () => {
+        const cp1251 = Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2]);
+        assert.deepStrictEqual(decodeSubtitle(cp1251, { language: 'ru' }), { text: 'Привет', charset: 'windows-1251' });
+        assert.deepStrictEqual(decodeSubtitle(Buffer.from([0x63, 0x61, 0x66, 0xE9])), { text: 'café', charset: 'windows-1252' });
+    });
+
+    it('does not trust a declared UTF-8 charset that fails to validate', () => {
+        const result = decodeSubtitle(Buffer.from([0x63, 0x61, 0x66, 0xE9]), { contentType: 'text/plain; charset=utf-8', language: 'fr' });
+        assert.deepStrictEqual(result, { text: 'café', charset: 'windows-1252' });
+    });
+});
+
+describe('HLS subtitle segments', () => {
+    it('lists segment URLs and refuses master or fMP4 playlists', () => {
+        const playlist = '#EXTM3U\n#EXTINF:10,\nseg-0.vtt\n#EXTINF:10,\nhttps://other.example.com/seg-1.vtt\n';
+        assert.deepStrictEqual(parseSegmentPlaylist(playlist, 'https://cdn.example.com/subs/en.m3u8'), [
+            'https://cdn.example.com/subs/seg-0.vtt',
+            'https://other.example.com/seg-1.vtt'
+        ]);
+        assert.throws(() => parseSegmentPlaylist('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\nv.m3u8\n', ''), /master playlist/);
+        assert.throws(() => parseSegmentPlaylist('#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\n', ''), /fMP4/);
+    });
+
+    it('places segments on one timeline and drops repeated cues', () => {
+        const segment = (map, cues) => `WEBVTT\nX-TIMESTAMP-MAP=${map}\n\n${cues}\n`;
+        const cues = mergeVttSegments([
+            segment('MPEGTS:900000,LOCAL:00:00:00.000', '00:00:09.000 --> 00:00:11.000\nAcross the boundary'),
+            // 10s of MPEG-TS later, with cue times already counting from there
+            segment('MPEGTS:1800000,LOCAL:00:00:10.000', '00:00:09.000 --> 00:00:11.000\nAcross the boundary\n\n00:00:12.000 --> 00:00:14.000\nNext'),
+            // Same timeline expressed through the MPEG-TS clock only
+            segment('MPEGTS:2700000,LOCAL:00:00:00.000', '00:00:01.000 --> 00:00:03.000\nLast')
+        ]);
+        assert.deepStrictEqual(cues.map(c => [c.start, c.end, c.text]), [
+            [9, 11, 'Across the boundary'],
+            [12, 14, 'Next'],
+            [21, 23, 'Last']
+        ]);
+    });
+});